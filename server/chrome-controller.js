@@ -5,6 +5,36 @@ import path from 'path';
 import fs from 'fs/promises';
 import os from 'os';
 import crypto from 'crypto';
+import { SessionPool } from './session-pool.js';
+import { NetworkRecorder, createUrlMatcher } from './network-recorder.js';
+import { ConsoleBuffer } from './console-buffer.js';
+import { DialogWatcher } from './dialog-watcher.js';
+import { ScreenshotStore, SCREENSHOT_KINDS } from './screenshot-store.js';
+import {
+  pageFunctionCall,
+  extractPageContent,
+  fillFormFields,
+  submitForm,
+  collectValidationMessages,
+  findElementCandidates,
+  analyzeFormElements,
+  describeElements,
+  extractRecords,
+  scrollState,
+  scrollContainerBy,
+  waitConditionState,
+  checkActionability,
+  registerRef,
+  observeMutations,
+  readFieldValue,
+  deepQuerySelector,
+  selectorEngine,
+  textMatcher,
+  parseRoleSelector,
+} from './utils/page-scripts.js';
+import { decodePng, encodePng, diffImages } from './utils/image-diff.js';
+import { DIALOG_POLICIES } from './utils/config.js';
+import { parseKeyChord, keyDefinitionForChar, modifierMask, MODIFIER_BITS } from './utils/keyboard.js';
 
 // Smart selector patterns for different element types
 const SELECTOR_PATTERNS = {
@@ -76,9 +106,152 @@ const SELECTOR_PATTERNS = {
     'input[type="url"]',
     'input:not([type="hidden"]):not([type="submit"]):not([type="button"])',
     'textarea'
+  ],
+  select: [
+    'select:not([disabled])',
+    'select'
+  ],
+  checkbox: [
+    'input[type="checkbox"]:not([disabled])',
+    '*[role="checkbox"]',
+    '*[role="switch"]'
+  ],
+  radio: [
+    'input[type="radio"]:not([disabled])',
+    '*[role="radio"]'
+  ],
+  file: [
+    'input[type="file"]:not([disabled])',
+    'input[type="file"]'
   ]
 };
 
+// Element types whose discovery prefers form controls matched by their label text
+const FORM_CONTROL_TYPES = ['select', 'checkbox', 'radio', 'file'];
+
+// Words in a hint that name the element type rather than its label
+const HINT_TYPE_WORDS = /\b(dropdown|select|checkbox|check box|toggle|radio|button|btn|link|upload|file|attach|input|field|box)\b/g;
+
+// Discovery scores (0-1) for pattern matches; text matches are scored in the page
+const PATTERN_MATCH_SCORE = 0.5;
+const FALLBACK_PATTERN_SCORE = 0.4;
+const MAX_DISCOVERY_CANDIDATES = 6;
+
+// How discovery describes the name source of a text match
+const DISCOVERY_SOURCES = {
+  label: 'label',
+  labelledby: 'aria-labelledby',
+  'aria-label': 'aria-label',
+  text: 'text',
+  placeholder: 'placeholder',
+  title: 'title',
+  nearby: 'nearby text',
+  attribute: 'name/id',
+};
+
+// Isolated world element tools evaluate in when a frame is selected
+const FRAME_WORLD_NAME = 'chrome-control';
+
+// How often extract_data checks whether the next page has replaced the rows
+const PAGINATION_POLL_INTERVAL = 250;
+
+// Page.lifecycleEvent names that satisfy each wait_until option
+const WAIT_UNTIL_EVENTS = {
+  load: 'load',
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'networkIdle',
+  none: null,
+};
+
+const PAGE_CONTENT_FORMATS = ['html', 'text', 'markdown', 'readability'];
+
+// File extensions for Page.captureScreenshot formats
+const SCREENSHOT_EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  webp: 'webp',
+};
+
+const SCREENSHOT_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+// Mouse button and click count for each element mouse action
+const MOUSE_ACTIONS = {
+  hover: { button: 'none', clickCount: 0 },
+  double_click: { button: 'left', clickCount: 2 },
+  right_click: { button: 'right', clickCount: 1 },
+};
+
+// Input.dispatchMouseEvent `buttons` bitmask while a button is held
+const MOUSE_BUTTONS = {
+  left: 1,
+  right: 2,
+  middle: 4,
+};
+
+// Scroll edges for `to`, and the wheel direction for each scroll_until direction
+const SCROLL_EDGES = ['top', 'bottom', 'left', 'right'];
+const SCROLL_DIRECTIONS = {
+  down: { x: 0, y: 1 },
+  up: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  left: { x: -1, y: 0 },
+};
+
+// Wheel events per scroll call, how long a scroll may animate, and the fruitless scrolls that end scroll_until
+const MAX_SCROLL_STEPS = 10;
+const SCROLL_SETTLE_TIMEOUT = 1000;
+const SCROLL_STALL_LIMIT = 3;
+
+// wait_for element states, how often its conditions are checked, and request types that never finish
+const WAIT_STATES = ['attached', 'detached', 'visible', 'hidden', 'enabled'];
+const WAIT_POLL_INTERVAL = 100;
+const LONG_LIVED_REQUEST_TYPES = ['EventSource', 'WebSocket'];
+
+// Pointer actions re-check actionability this often until their timeout
+const ACTIONABILITY_RETRY_INTERVAL = 100;
+
+// How long after a click or typing to watch for navigations, DOM changes, dialogs and new tabs
+const EFFECTS_WINDOW = 500;
+
+// Why an element cannot take a pointer action (see checkActionability); "obscured" names the blocker instead
+const NOT_ACTIONABLE_REASONS = {
+  not_found: 'is no longer in the page',
+  disabled: 'is disabled',
+  not_stable: 'is still moving (animating or resizing)',
+  outside_viewport: 'is outside the viewport',
+};
+
+// Page.printToPDF paper sizes in inches
+const PDF_PAPER_SIZES = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  a3: { width: 11.69, height: 16.54 },
+  a4: { width: 8.27, height: 11.69 },
+  a5: { width: 5.83, height: 8.27 },
+};
+
+// Inches per unit for PDF lengths
+const PDF_LENGTH_UNITS = {
+  in: 1,
+  cm: 1 / 2.54,
+  mm: 1 / 25.4,
+  px: 1 / 96,
+};
+
+// Accessibility roles that add no meaning to a snapshot on their own
+const AX_NOISE_ROLES = new Set(['generic', 'none', 'presentation', 'InlineTextBox', 'LineBreak', 'Ignored']);
+
+// Accessibility properties reported as states in snapshots, in display order
+const AX_STATE_PROPERTIES = [
+  'focused', 'disabled', 'checked', 'pressed', 'selected', 'expanded',
+  'required', 'readonly', 'invalid', 'modal', 'level',
+];
+
 export class ChromeController {
   constructor(config = {}) {
     this.port = config.chrome_port || 9222;
@@ -88,41 +261,58 @@ export class ChromeController {
     this.timeout = config.timeout || 30000;
     this.isolatedProfile = config.isolated_profile !== false;
     this.userDataDir = config.user_data_dir || path.join(os.tmpdir(), `chrome-debug-${Date.now()}`);
-    this.screenshotDir = path.join(os.tmpdir(), 'chrome-control-screenshots');
+    this.harDir = path.join(os.tmpdir(), 'chrome-control-har');
+    this.maxInlineImageBytes = config.max_inline_image_bytes || 1024 * 1024;
     this.client = null;
     this.isConnected = false;
-    
-    // Ensure screenshot directory exists
-    this.ensureScreenshotDir();
-  }
 
-  async ensureScreenshotDir() {
-    try {
-      await fs.mkdir(this.screenshotDir, { recursive: true });
-    } catch (error) {
-      console.error('Failed to create screenshot directory:', error);
-    }
-  }
+    // Screenshots, diff images and named baselines
+    this.screenshots = new ScreenshotStore({
+      dir: config.screenshot_dir || path.join(os.tmpdir(), 'chrome-control-screenshots'),
+      retentionMs: (config.screenshot_retention_hours ?? 24) * 60 * 60 * 1000,
+      maxTotalBytes: (config.screenshot_max_total_mb ?? 500) * 1024 * 1024,
+    });
 
-  async cleanupOldScreenshots() {
-    try {
-      const files = await fs.readdir(this.screenshotDir);
-      const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-      for (const file of files) {
-        if (file.startsWith('screenshot_') && (file.endsWith('.png') || file.endsWith('.jpg'))) {
-          const filePath = path.join(this.screenshotDir, file);
-          const stats = await fs.stat(filePath);
-          
-          if (now - stats.mtime.getTime() > maxAge) {
-            await fs.unlink(filePath);
-          }
-        }
+    // Persistent per-tab CDP sessions shared by every withTab call
+    this.sessions = new SessionPool({
+      port: this.port,
+      idleTtl: config.session_idle_ttl ?? 5 * 60 * 1000,
+      listTargets: () => this.getTargets(),
+    });
+
+    // Console buffers by tab id, re-attached to every new session for the tab until it closes
+    this.consoleBufferSize = config.console_buffer_size || 1000;
+    this.consoleBuffers = new Map();
+    this.sessions.on('session', (tabId, client) => {
+      this.getConsoleBuffer(tabId).attach(client);
+      this.getDialogWatcher(tabId).attach(client);
+    });
+
+    // Dialog watchers by tab id; numbered across tabs so a tool call can report every dialog it caused
+    this.dialogPolicy = config.dialog_policy || 'queue';
+    this.dialogWatchers = new Map();
+    this.dialogSeq = 0;
+
+    // Target sessions of out-of-process iframes by CDP client, then frame id
+    this.frameSessions = new WeakMap();
+
+    // Network recorders by tab id; kept after stopping so logs can still be read, until the tab closes
+    this.networkRecorders = new Map();
+    this.sessions.on('evicted', (tabId, client) => {
+      const recorder = this.networkRecorders.get(tabId);
+      if (recorder && recorder.recording) {
+        recorder.stop();
       }
-    } catch (error) {
-      console.error('Failed to cleanup old screenshots:', error);
-    }
+      if (client) {
+        this.detachFrameSessions(client);
+      }
+    });
+
+    // Per-tab state goes with the tab, however it was closed
+    this.sessions.on('closed', tabId => this.forgetTab(tabId));
+    
+    // Ensure screenshot directory exists and drop anything past retention
+    this.screenshots.ensureDir().then(() => this.screenshots.enforceRetention());
   }
 
   async findChromePath() {
@@ -241,6 +431,8 @@ export class ChromeController {
   }
 
   async disconnect() {
+    await this.sessions.closeAll();
+
     if (this.client) {
       await this.client.close();
       this.client = null;
@@ -266,45 +458,42 @@ export class ChromeController {
   }
 
   async closeTab(tabId) {
+    await this.sessions.evict(tabId);
     await CDP.Close({ port: this.port, id: tabId });
+    this.forgetTab(tabId);
     return { success: true };
   }
 
+  // Drop what was kept for a closed tab
+  forgetTab(tabId) {
+    this.networkRecorders.delete(tabId);
+
+    const buffer = this.consoleBuffers.get(tabId);
+    if (buffer) {
+      buffer.detach();
+      this.consoleBuffers.delete(tabId);
+    }
+
+    const watcher = this.dialogWatchers.get(tabId);
+    if (watcher) {
+      watcher.detach();
+      this.dialogWatchers.delete(tabId);
+    }
+  }
+
   async activateTab(tabId) {
     await CDP.Activate({ port: this.port, id: tabId });
     return { success: true };
   }
 
-  async withTab(tabId, callback) {
-    let client = null;
-    try {
-      const targets = await this.getTargets();
-      const target = targets.find(t => t.id === tabId);
-      
-      if (!target) {
-        throw new Error(`Tab with ID ${tabId} not found`);
-      }
-
-      client = await CDP({ target: target.webSocketDebuggerUrl });
-      await client.Page.enable();
-      await client.Runtime.enable();
-      
-      // Enable DOM domain for getContentQuads
-      try {
-        if (client.DOM && client.DOM.enable) {
-          await client.DOM.enable();
-        }
-      } catch (error) {
-        console.error('Warning: Could not enable DOM domain:', error.message);
-      }
-      
-      const result = await callback(client);
-      return result;
-    } finally {
-      if (client) {
-        await client.close();
-      }
+  // Run callback with the tab's session; fails instead of hanging while a queued dialog blocks the page
+  async withTab(tabId, callback, options = {}) {
+    // Without a tab id there is no tab whose dialogs could block the call
+    if (!tabId) {
+      return this.sessions.use(tabId, callback);
     }
+    const dialogs = this.getDialogWatcher(tabId);
+    return this.sessions.use(tabId, client => dialogs.guard(() => callback(client), options));
   }
 
   async executeInTab(tabId, expression) {
@@ -323,250 +512,926 @@ export class ChromeController {
     });
   }
 
-  async navigateTab(tabId, url) {
+  // Start a navigation with trigger() and wait until the main frame reaches options.waitUntil
+  async waitForNavigation(client, trigger, options = {}) {
+    const waitUntil = options.waitUntil || 'load';
+    const timeout = options.timeout || this.timeout;
+
+    if (!(waitUntil in WAIT_UNTIL_EVENTS)) {
+      throw new Error(`Invalid wait_until '${waitUntil}'. Expected one of: ${Object.keys(WAIT_UNTIL_EVENTS).join(', ')}`);
+    }
+
+    const { frameTree } = await client.Page.getFrameTree();
+    const mainFrameId = frameTree.frame.id;
+
+    // Main-frame document requests by loader, so redirects of the committed navigation can be reported
+    const documents = new Map();
+    const documentFor = (loaderId) => {
+      if (!documents.has(loaderId)) {
+        documents.set(loaderId, { redirects: [], response: null });
+      }
+      return documents.get(loaderId);
+    };
+
+    let loaderId = null;
+    let sameDocument = false;
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+
+    const listeners = {
+      'Network.requestWillBeSent': (params) => {
+        if (params.type === 'Document' && params.frameId === mainFrameId && params.redirectResponse) {
+          documentFor(params.loaderId).redirects.push({
+            url: params.redirectResponse.url,
+            status: params.redirectResponse.status,
+          });
+        }
+      },
+      'Network.responseReceived': (params) => {
+        if (params.type === 'Document' && params.frameId === mainFrameId) {
+          documentFor(params.loaderId).response = params.response;
+        }
+      },
+      'Page.frameNavigated': ({ frame, type }) => {
+        if (frame.parentId) return;
+        loaderId = frame.loaderId;
+        // Pages restored from the back/forward cache fire no lifecycle events
+        if (type === 'BackForwardCacheRestore') settle();
+      },
+      'Page.navigatedWithinDocument': ({ frameId }) => {
+        if (frameId === mainFrameId) {
+          sameDocument = true;
+          settle();
+        }
+      },
+      'Page.lifecycleEvent': (params) => {
+        if (params.frameId !== mainFrameId || !loaderId || params.loaderId !== loaderId) return;
+        if (params.name === WAIT_UNTIL_EVENTS[waitUntil]) settle();
+      },
+    };
+
+    for (const [event, handler] of Object.entries(listeners)) {
+      client.on(event, handler);
+    }
+
+    let timer = null;
+    try {
+      const navigation = await trigger() || {};
+      if (navigation.errorText) {
+        throw new Error(`Navigation failed: ${navigation.errorText}`);
+      }
+      if (navigation.loaderId) {
+        loaderId = navigation.loaderId;
+      }
+      if (navigation.sameDocument) {
+        sameDocument = true;
+        settle();
+      }
+
+      if (waitUntil !== 'none') {
+        const timedOut = new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            reject(new Error(`Navigation timeout of ${timeout}ms exceeded waiting for '${waitUntil}'`));
+          }, timeout);
+        });
+        await Promise.race([settled, timedOut]);
+      }
+    } finally {
+      clearTimeout(timer);
+      for (const [event, handler] of Object.entries(listeners)) {
+        client.removeListener(event, handler);
+      }
+    }
+
+    const history = await client.Page.getNavigationHistory();
+    const entry = history.entries[history.currentIndex];
+    const document = loaderId ? documents.get(loaderId) : null;
+
+    return {
+      url: entry ? entry.url : null,
+      status: document && document.response ? document.response.status : null,
+      redirects: document ? document.redirects : [],
+      waitUntil,
+      sameDocument,
+    };
+  }
+
+  async navigateTab(tabId, url, options = {}) {
     return this.withTab(tabId, async (client) => {
-      await client.Page.navigate({ url });
-      await client.Page.loadEventFired();
-      return { success: true, url };
+      const navigation = await this.waitForNavigation(client, async () => {
+        const result = await client.Page.navigate({ url });
+        return {
+          loaderId: result.loaderId,
+          errorText: result.errorText,
+          sameDocument: !result.loaderId && !result.errorText,
+        };
+      }, options);
+
+      return { success: true, requestedUrl: url, ...navigation };
     });
   }
 
-  async reloadTab(tabId) {
+  async reloadTab(tabId, options = {}) {
     return this.withTab(tabId, async (client) => {
-      await client.Page.reload();
-      return { success: true };
+      const navigation = await this.waitForNavigation(client, () => client.Page.reload(), options);
+      return { success: true, ...navigation };
     });
   }
 
-  async goBack(tabId) {
+  async goBack(tabId, options = {}) {
     return this.withTab(tabId, async (client) => {
       const history = await client.Page.getNavigationHistory();
       if (history.currentIndex > 0) {
-        await client.Page.navigateToHistoryEntry({
+        const navigation = await this.waitForNavigation(client, () => client.Page.navigateToHistoryEntry({
           entryId: history.entries[history.currentIndex - 1].id
-        });
-        return { success: true };
+        }), options);
+        return { success: true, ...navigation };
       }
       return { success: false, message: 'No previous page in history' };
     });
   }
 
-  async goForward(tabId) {
+  async goForward(tabId, options = {}) {
     return this.withTab(tabId, async (client) => {
       const history = await client.Page.getNavigationHistory();
       if (history.currentIndex < history.entries.length - 1) {
-        await client.Page.navigateToHistoryEntry({
+        const navigation = await this.waitForNavigation(client, () => client.Page.navigateToHistoryEntry({
           entryId: history.entries[history.currentIndex + 1].id
-        });
-        return { success: true };
+        }), options);
+        return { success: true, ...navigation };
       }
       return { success: false, message: 'No next page in history' };
     });
   }
 
-  async getPageContent(tabId) {
+  async getPageContent(tabId, options = {}) {
+    const { format = 'html', offset = 0 } = options;
+    // Extracted text is paginated by default; raw HTML only when asked to
+    const maxChars = options.maxChars ?? (format === 'html' ? Infinity : 50000);
+
+    if (!PAGE_CONTENT_FORMATS.includes(format)) {
+      throw new Error(`Invalid format '${format}'. Expected one of: ${PAGE_CONTENT_FORMATS.join(', ')}`);
+    }
+
     return this.withTab(tabId, async (client) => {
       const result = await client.Runtime.evaluate({
-        expression: 'document.documentElement.outerHTML',
+        expression: format === 'html'
+          ? 'document.documentElement.outerHTML'
+          : pageFunctionCall(extractPageContent, format),
         returnByValue: true,
       });
-      return result.result.value;
+
+      if (result.exceptionDetails) {
+        throw new Error(result.exceptionDetails.text || 'Failed to extract page content');
+      }
+
+      const content = result.result.value || '';
+      const end = Math.min(offset + maxChars, content.length);
+
+      return {
+        content: content.substring(offset, end),
+        format,
+        totalLength: content.length,
+        offset,
+        nextOffset: end < content.length ? end : null,
+      };
     });
   }
 
-  async takeScreenshot(tabId, format = 'png') {
+  /**
+   * Build a compact, indented text outline of the page accessibility tree.
+   * Nodes backed by DOM elements carry a ref (e.g. "e42") that click_element
+   * and type_text accept in place of a selector.
+   */
+  async getAccessibilitySnapshot(tabId, options = {}) {
+    const { interestingOnly = true, maxDepth = Infinity, selector = null } = options;
+
     return this.withTab(tabId, async (client) => {
-      // Cleanup old screenshots periodically
-      if (Math.random() < 0.1) { // 10% chance to cleanup
-        await this.cleanupOldScreenshots();
+      const { nodes } = await client.Accessibility.getFullAXTree();
+      const byId = new Map(nodes.map(node => [node.nodeId, node]));
+
+      let root = nodes.find(node => !node.parentId) || nodes[0];
+      if (selector) {
+        const backendNodeId = await this.getBackendNodeId(client, selector);
+        root = nodes.find(node => node.backendDOMNodeId === backendNodeId);
+        if (!root) {
+          throw new Error(`Element '${selector}' is not part of the accessibility tree`);
+        }
       }
 
-      const screenshot = await client.Page.captureScreenshot({
-        format,
-        quality: format === 'jpeg' ? 80 : undefined,
-      });
+      const lines = [];
+      let refCount = 0;
+
+      const walk = (node, depth, parentName) => {
+        const role = node.role ? node.role.value : '';
+        const name = node.name ? String(node.name.value || '').trim() : '';
+        const children = (node.childIds || []).map(id => byId.get(id)).filter(Boolean);
+
+        // Text that only repeats its parent's accessible name is noise
+        const redundantText = role === 'StaticText' && name === parentName;
+        const skip = interestingOnly && (node.ignored || AX_NOISE_ROLES.has(role) || redundantText || (role === 'StaticText' && !name));
+
+        if (skip) {
+          if (role !== 'InlineTextBox') {
+            children.forEach(child => walk(child, depth, parentName));
+          }
+          return;
+        }
+
+        if (depth > maxDepth) return;
+
+        let line = `${'  '.repeat(depth)}- ${role === 'StaticText' ? 'text' : role}`;
+        if (name) {
+          line += ` "${truncateSnapshotText(name)}"`;
+        }
+        if (node.backendDOMNodeId) {
+          line += ` [ref=e${node.backendDOMNodeId}]`;
+          refCount++;
+        }
 
-      // Generate unique filename
-      const timestamp = Date.now();
-      const randomId = crypto.randomBytes(4).toString('hex');
-      const extension = format === 'jpeg' ? 'jpg' : 'png';
-      const filename = `screenshot_${timestamp}_${randomId}.${extension}`;
-      const filePath = path.join(this.screenshotDir, filename);
+        const states = formatAXStates(node.properties || []);
+        if (states) {
+          line += ` ${states}`;
+        }
+        if (node.value && node.value.value !== undefined && node.value.value !== '') {
+          line += ` value="${truncateSnapshotText(String(node.value.value))}"`;
+        }
+
+        lines.push(line);
+        children.forEach(child => walk(child, depth + 1, name));
+      };
 
-      // Save screenshot to file
-      const buffer = Buffer.from(screenshot.data, 'base64');
-      await fs.writeFile(filePath, buffer);
+      walk(root, 0, null);
+
+      const page = await client.Runtime.evaluate({
+        expression: '({ url: location.href, title: document.title })',
+        returnByValue: true,
+      });
 
       return {
-        path: filePath,
-        filename: filename,
-        format: format,
-        size: buffer.length,
-        timestamp: new Date().toISOString(),
-        tabId: tabId
+        snapshot: lines.join('\n'),
+        nodeCount: lines.length,
+        refCount,
+        url: page.result.value.url,
+        title: page.result.value.title,
       };
     });
   }
 
-  // Smart element discovery - tries multiple selector patterns
-  async discoverBestSelector(client, selectorHint, elementType = null) {
-    const results = [];
-    
-    // If it looks like a CSS selector already, try it first
-    if (selectorHint && (selectorHint.includes('.') || selectorHint.includes('#') || selectorHint.includes('[') || selectorHint.includes(':'))) {
-      try {
-        const exists = await this.checkElementExists(client, selectorHint);
-        if (exists) {
-          results.push({
-            selector: selectorHint,
-            confidence: 'exact',
-            description: 'User-provided selector'
-          });
-        }
-      } catch (e) {
-        // Continue to pattern matching
-      }
+  async getBackendNodeId(client, selector) {
+    const objectId = await this.queryElementObject(client, selector);
+    if (!objectId) {
+      throw new Error(`Element '${selector}' not found`);
     }
-    
-    // Try to determine element type from hint
-    const hintLower = (selectorHint || '').toLowerCase();
-    let patterns = [];
-    
-    // Determine which patterns to try based on hint
-    if (hintLower.includes('submit') || hintLower.includes('send') || hintLower.includes('confirm')) {
-      patterns = SELECTOR_PATTERNS.submit;
-      elementType = 'submit';
-    } else if (hintLower.includes('search') || hintLower.includes('find')) {
-      patterns = SELECTOR_PATTERNS.search;
-      elementType = 'search';
-    } else if (hintLower.includes('login') || hintLower.includes('email') || hintLower.includes('username')) {
-      patterns = SELECTOR_PATTERNS.login;
-      elementType = 'login';
-    } else if (hintLower.includes('password') || hintLower.includes('pass')) {
-      patterns = SELECTOR_PATTERNS.password;
-      elementType = 'password';
-    } else if (hintLower.includes('button') || hintLower.includes('btn') || hintLower.includes('click')) {
-      patterns = SELECTOR_PATTERNS.button;
-      elementType = 'button';
-    } else if (hintLower.includes('link')) {
-      patterns = SELECTOR_PATTERNS.link;
-      elementType = 'link';
-    } else if (hintLower.includes('input') || hintLower.includes('field') || hintLower.includes('text')) {
-      patterns = SELECTOR_PATTERNS.input;
-      elementType = 'input';
+
+    try {
+      const description = await client.DOM.describeNode({ objectId });
+      return description.node.backendNodeId;
+    } finally {
+      await this.releaseObject(client, objectId);
     }
-    
-    // Try text-based matching if hint doesn't match patterns
-    if (patterns.length === 0 && selectorHint) {
-      // Try to find element by text content using JavaScript
-      try {
-        const textResult = await client.Runtime.evaluate({
-          expression: `
-            (() => {
-              const searchText = '${selectorHint.replace(/'/g, "\\'").toLowerCase()}';
-              
-              // Try buttons with text
-              const buttons = Array.from(document.querySelectorAll('button, a.btn, a.button, *[role="button"]'));
-              for (const btn of buttons) {
-                if (btn.textContent.toLowerCase().includes(searchText) ||
-                    btn.innerText?.toLowerCase().includes(searchText) ||
-                    btn.value?.toLowerCase().includes(searchText)) {
-                  return {
-                    found: true,
-                    selector: btn.id ? '#' + btn.id : 
-                             btn.className ? '.' + btn.className.split(' ')[0] : 
-                             btn.tagName.toLowerCase(),
-                    tagName: btn.tagName.toLowerCase(),
-                    text: btn.textContent.trim()
-                  };
-                }
-              }
-              
-              // Try links with text
-              const links = Array.from(document.querySelectorAll('a'));
-              for (const link of links) {
-                if (link.textContent.toLowerCase().includes(searchText)) {
-                  return {
-                    found: true,
-                    selector: link.id ? '#' + link.id : 
-                             link.className ? '.' + link.className.split(' ')[0] : 
-                             'a',
-                    tagName: 'a',
-                    text: link.textContent.trim()
-                  };
-                }
-              }
-              
-              // Try inputs with placeholder/aria-label
-              const inputs = Array.from(document.querySelectorAll('input, textarea'));
-              for (const input of inputs) {
-                if (input.placeholder?.toLowerCase().includes(searchText) ||
-                    input.getAttribute('aria-label')?.toLowerCase().includes(searchText) ||
-                    input.getAttribute('title')?.toLowerCase().includes(searchText)) {
-                  return {
-                    found: true,
-                    selector: input.id ? '#' + input.id : 
-                             input.name ? 'input[name="' + input.name + '"]' :
-                             input.className ? '.' + input.className.split(' ')[0] : 
-                             'input[type="' + (input.type || 'text') + '"]',
-                    tagName: input.tagName.toLowerCase(),
-                    placeholder: input.placeholder
-                  };
-                }
-              }
-              
-              return { found: false };
-            })()
-          `,
-          returnByValue: true
+  }
+
+  /**
+   * Resolve an accessibility snapshot ref ("e42", the element's backend node
+   * id) without writing to the page: the node is registered in an isolated
+   * world of the main frame (see registerRef), and the returned "ref="
+   * selector finds it when evaluated in the returned scope.
+   */
+  async resolveRef(client, ref) {
+    const match = /^e(\d+)$/.exec(String(ref).trim());
+    if (!match) {
+      throw new Error(`Invalid ref '${ref}'. Refs look like "e42" and come from get_accessibility_snapshot`);
+    }
+
+    const { frameTree } = await client.Page.getFrameTree();
+    const world = await client.Page.createIsolatedWorld({ frameId: frameTree.frame.id, worldName: FRAME_WORLD_NAME });
+    const scope = {
+      frameId: frameTree.frame.id,
+      sessionId: undefined,
+      contextId: world.executionContextId,
+      offset: { x: 0, y: 0 },
+    };
+
+    let object;
+    try {
+      ({ object } = await client.DOM.resolveNode({ backendNodeId: Number(match[1]), executionContextId: scope.contextId }));
+    } catch (error) {
+      throw new Error(`Ref '${ref}' no longer exists in the page. Take a new accessibility snapshot`);
+    }
+
+    try {
+      await client.Runtime.callFunctionOn({
+        objectId: object.objectId,
+        functionDeclaration: registerRef.toString(),
+        arguments: [{ value: `e${match[1]}` }],
+      });
+    } finally {
+      await this.releaseObject(client, object.objectId);
+    }
+
+    return { selector: `ref=e${match[1]}`, scope };
+  }
+
+  async takeScreenshot(tabId, format = 'png', options = {}) {
+    const {
+      fullPage = false,
+      selector = null,
+      quality,
+      scale = 1,
+      viewport = null,
+      save = true,
+      inline = false,
+      maxInlineBytes = this.maxInlineImageBytes,
+    } = options;
+
+    if (!(format in SCREENSHOT_EXTENSIONS)) {
+      throw new Error(`Invalid format '${format}'. Expected one of: ${Object.keys(SCREENSHOT_EXTENSIONS).join(', ')}`);
+    }
+    if (fullPage && selector) {
+      throw new Error('full_page and selector cannot be combined');
+    }
+
+    return this.withTab(tabId, async (client) => {
+      if (viewport) {
+        await client.Emulation.setDeviceMetricsOverride({
+          width: viewport.width,
+          height: viewport.height,
+          deviceScaleFactor: 0,
+          mobile: false,
         });
-        
-        const match = textResult.result.value;
-        if (match && match.found) {
-          results.push({
-            selector: match.selector,
-            confidence: 'text-match',
-            description: `Found ${match.tagName} by text: "${selectorHint}"`
+      }
+
+      let buffer;
+      let clip;
+      let inlineImage = null;
+      try {
+        clip = await this.getScreenshotClip(client, { fullPage, selector, scale });
+
+        const capture = async (captureFormat, captureClip, captureQuality) => {
+          const screenshot = await client.Page.captureScreenshot({
+            format: captureFormat,
+            quality: captureFormat === 'png' ? undefined : (captureQuality ?? 80),
+            clip: captureClip,
+            // Needed for content (or an element) that extends past the visible viewport
+            captureBeyondViewport: fullPage || Boolean(selector),
           });
+          return Buffer.from(screenshot.data, 'base64');
+        };
+
+        buffer = await capture(format, clip, quality);
+
+        if (inline) {
+          inlineImage = await this.fitInlineImage(capture, buffer, { format, clip, quality, maxInlineBytes });
         }
-      } catch (e) {
-        // Continue without text matching
-      }
-      
-      // Fallback to attribute selectors
-      const textSelectors = [
-        `*[aria-label*="${selectorHint}" i]`,
-        `*[title*="${selectorHint}" i]`,
-        `input[placeholder*="${selectorHint}" i]`
-      ];
-      
-      for (const selector of textSelectors) {
-        try {
-          const exists = await this.checkElementExists(client, selector);
-          if (exists) {
-            results.push({
-              selector,
-              confidence: 'text-match',
-              description: `Found by text: "${selectorHint}"`
-            });
-            break;
-          }
-        } catch (e) {
-          // Continue trying
+      } finally {
+        if (viewport) {
+          await client.Emulation.clearDeviceMetricsOverride();
         }
       }
-    }
-    
-    // Try pattern-based selectors
-    for (const selector of patterns) {
-      try {
-        const exists = await this.checkElementExists(client, selector);
-        if (exists) {
+
+      const info = {
+        format: format,
+        size: buffer.length,
+        width: Math.round(clip.width * clip.scale),
+        height: Math.round(clip.height * clip.scale),
+        fullPage,
+        selector,
+        inline: inlineImage,
+        timestamp: new Date().toISOString(),
+        tabId: tabId
+      };
+
+      if (save) {
+        const saved = await this.screenshots.save('screenshot', SCREENSHOT_EXTENSIONS[format], buffer);
+        info.filename = saved.filename;
+        info.path = saved.path;
+      }
+
+      return info;
+    });
+  }
+
+  /**
+   * Produce a base64 copy of a capture whose encoded size fits the inline
+   * budget, re-capturing at a smaller scale (and finally as JPEG) when it is
+   * too large.
+   */
+  async fitInlineImage(capture, buffer, { format, clip, quality, maxInlineBytes }) {
+    let data = buffer;
+    let currentFormat = format;
+    let currentClip = clip;
+
+    for (let attempt = 0; base64Length(data) > maxInlineBytes && attempt < 4; attempt++) {
+      // Byte size scales roughly with pixel area, so shrink both sides by the square root
+      const ratio = Math.sqrt(maxInlineBytes / base64Length(data)) * 0.9;
+      currentClip = { ...currentClip, scale: currentClip.scale * ratio };
+
+      // PNG compresses screenshots poorly; fall back to JPEG after the first retry
+      if (attempt > 0 && currentFormat === 'png') {
+        currentFormat = 'jpeg';
+      }
+      data = await capture(currentFormat, currentClip, quality ?? 70);
+    }
+
+    if (base64Length(data) > maxInlineBytes) {
+      throw new Error(`Screenshot is still ${base64Length(data)} bytes as base64 after downscaling, above the ${maxInlineBytes} byte inline limit. Use return_mode "path" or a smaller area`);
+    }
+
+    return {
+      data: data.toString('base64'),
+      mimeType: SCREENSHOT_MIME_TYPES[currentFormat],
+      size: data.length,
+      width: Math.round(currentClip.width * currentClip.scale),
+      height: Math.round(currentClip.height * currentClip.scale),
+      downscaled: data !== buffer,
+    };
+  }
+
+  // Capture area in page coordinates: whole document, one element, or the visible viewport
+  async getScreenshotClip(client, { fullPage, selector, scale }) {
+    const metrics = await client.Page.getLayoutMetrics();
+    const visualViewport = metrics.cssVisualViewport || metrics.visualViewport;
+
+    if (fullPage) {
+      const content = metrics.cssContentSize || metrics.contentSize;
+      return {
+        x: 0,
+        y: 0,
+        width: Math.ceil(content.width),
+        height: Math.ceil(content.height),
+        scale,
+      };
+    }
+
+    if (selector) {
+      const bounds = await this.getElementBounds(client, selector);
+
+      // Scrolling the element into view moves the viewport, so re-read the offset
+      const { cssVisualViewport, visualViewport: legacyViewport } = await client.Page.getLayoutMetrics();
+      const scrolled = cssVisualViewport || legacyViewport;
+
+      return {
+        x: bounds.x + scrolled.pageX,
+        y: bounds.y + scrolled.pageY,
+        width: bounds.width,
+        height: bounds.height,
+        scale,
+      };
+    }
+
+    return {
+      x: visualViewport.pageX,
+      y: visualViewport.pageY,
+      width: visualViewport.clientWidth,
+      height: visualViewport.clientHeight,
+      scale,
+    };
+  }
+
+  /**
+   * Print a tab to PDF with Page.printToPDF and save it to the screenshot store.
+   * Lengths (margins, custom paper size) accept numbers in inches or strings
+   * with an in, cm, mm or px unit.
+   */
+  async savePdf(tabId, options = {}) {
+    const {
+      paperSize = 'letter',
+      paperWidth,
+      paperHeight,
+      margins = {},
+      landscape = false,
+      printBackground = true,
+      scale = 1,
+      pageRanges = '',
+      headerTemplate,
+      footerTemplate,
+      preferCssPageSize = false,
+    } = options;
+
+    const paper = PDF_PAPER_SIZES[paperSize];
+    if (!paper) {
+      throw new Error(`Invalid paper_size '${paperSize}'. Expected one of: ${Object.keys(PDF_PAPER_SIZES).join(', ')}`);
+    }
+    if (scale < 0.1 || scale > 2) {
+      throw new Error('scale must be between 0.1 and 2');
+    }
+
+    const displayHeaderFooter = Boolean(headerTemplate || footerTemplate);
+
+    const params = {
+      landscape,
+      printBackground,
+      scale,
+      paperWidth: paperWidth !== undefined ? parsePdfLength(paperWidth, 'paper_width') : paper.width,
+      paperHeight: paperHeight !== undefined ? parsePdfLength(paperHeight, 'paper_height') : paper.height,
+      pageRanges,
+      displayHeaderFooter,
+      // An empty template hides that part; Chrome would otherwise print its default title/date header
+      headerTemplate: displayHeaderFooter ? (headerTemplate || '<span></span>') : undefined,
+      footerTemplate: displayHeaderFooter ? (footerTemplate || '<span></span>') : undefined,
+      preferCSSPageSize: preferCssPageSize,
+    };
+
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      // Leave room for the header and footer unless margins are given explicitly
+      const fallback = displayHeaderFooter && (side === 'top' || side === 'bottom') ? 0.75 : 0.4;
+      const value = margins[side];
+      params[`margin${side[0].toUpperCase()}${side.slice(1)}`] =
+        value !== undefined ? parsePdfLength(value, `margin_${side}`) : fallback;
+    }
+
+    return this.withTab(tabId, async (client) => {
+      let result;
+      try {
+        result = await client.Page.printToPDF(params);
+      } catch (error) {
+        if (/not implemented/i.test(error.message)) {
+          throw new Error('This Chrome build cannot print to PDF outside headless mode. Enable headless mode or use a newer Chrome');
+        }
+        if (/page range/i.test(error.message)) {
+          throw new Error(`Invalid page_ranges '${pageRanges}': ${error.message}`);
+        }
+        throw error;
+      }
+
+      const buffer = Buffer.from(result.data, 'base64');
+      const saved = await this.screenshots.save('pdf', 'pdf', buffer);
+
+      return {
+        path: saved.path,
+        filename: saved.filename,
+        size: buffer.length,
+        pageCount: countPdfPages(buffer),
+        paperSize: paperWidth !== undefined || paperHeight !== undefined ? 'custom' : paperSize,
+        landscape,
+        timestamp: new Date().toISOString(),
+        tabId,
+      };
+    });
+  }
+
+  /**
+   * Pixel-diff two PNG screenshots. The "before" image is a file or a named
+   * baseline; the "after" image is a file or a fresh capture of a tab.
+   * Comparing a tab against a baseline that does not exist yet saves the
+   * capture as the new baseline.
+   */
+  async compareScreenshots(options = {}) {
+    const {
+      beforePath,
+      afterPath,
+      baseline,
+      tabId,
+      threshold,
+      ignoreRegions,
+      updateBaseline = false,
+      captureOptions = {},
+    } = options;
+
+    if (Boolean(beforePath) === Boolean(baseline)) {
+      throw new Error('Provide exactly one of before_path or baseline');
+    }
+    if (Boolean(afterPath) === Boolean(tabId)) {
+      throw new Error('Provide exactly one of after_path or tab_id');
+    }
+
+    const baselinePath = baseline ? this.screenshots.baselinePath(baseline) : null;
+
+    let current = afterPath;
+    if (tabId) {
+      const screenshot = await this.takeScreenshot(tabId, 'png', captureOptions);
+      current = screenshot.path;
+    }
+
+    const result = {
+      beforePath: beforePath || baselinePath,
+      afterPath: current,
+      baseline: baseline ? { name: baseline, path: baselinePath, created: false, updated: false } : null,
+    };
+
+    if (baseline && !(await this.screenshots.hasBaseline(baseline))) {
+      await this.screenshots.saveBaseline(baseline, current);
+      result.baseline.created = true;
+      return result;
+    }
+
+    const [beforeImage, afterImage] = await Promise.all([
+      fs.readFile(result.beforePath).then(decodePng),
+      fs.readFile(current).then(decodePng),
+    ]);
+
+    const comparison = diffImages(beforeImage, afterImage, { threshold, ignoreRegions });
+
+    const diffFile = await this.screenshots.save('diff', 'png', encodePng(comparison.diff));
+
+    if (baseline && updateBaseline) {
+      await this.screenshots.saveBaseline(baseline, current);
+      result.baseline.updated = true;
+    }
+
+    return {
+      ...result,
+      diffPath: diffFile.path,
+      diffFilename: diffFile.filename,
+      width: comparison.width,
+      height: comparison.height,
+      sizeMismatch: comparison.sizeMismatch,
+      comparedPixels: comparison.comparedPixels,
+      mismatchedPixels: comparison.mismatchedPixels,
+      mismatchPercentage: comparison.mismatchPercentage,
+      regions: comparison.regions,
+      totalRegions: comparison.totalRegions,
+    };
+  }
+
+  async listScreenshots(options = {}) {
+    const { kind, limit } = options;
+    if (kind && !SCREENSHOT_KINDS.includes(kind)) {
+      throw new Error(`Invalid kind '${kind}'. Expected one of: ${SCREENSHOT_KINDS.join(', ')}`);
+    }
+
+    const entries = await this.screenshots.list({ kind });
+    return {
+      directory: this.screenshots.dir,
+      total: entries.length,
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: limit ? entries.slice(0, limit) : entries,
+    };
+  }
+
+  async deleteScreenshot({ filename, baseline }) {
+    if (Boolean(filename) === Boolean(baseline)) {
+      throw new Error('Provide exactly one of filename or baseline');
+    }
+    return this.screenshots.delete({ filename, baseline });
+  }
+
+  getConsoleBuffer(tabId) {
+    if (!this.consoleBuffers.has(tabId)) {
+      this.consoleBuffers.set(tabId, new ConsoleBuffer({ maxSize: this.consoleBufferSize }));
+    }
+    return this.consoleBuffers.get(tabId);
+  }
+
+  async getConsoleLogs(tabId, options = {}) {
+    // Opening the session attaches the buffer, which also picks up messages replayed by Runtime.enable
+    await this.withTab(tabId, async () => {}, { allowOpenDialog: true });
+
+    const buffer = this.getConsoleBuffer(tabId);
+    return {
+      tabId,
+      ...buffer.query(options),
+      buffered: buffer.entries.length,
+      dropped: buffer.dropped,
+    };
+  }
+
+  getDialogWatcher(tabId) {
+    if (!this.dialogWatchers.has(tabId)) {
+      this.dialogWatchers.set(tabId, new DialogWatcher({
+        defaultPolicy: () => this.dialogPolicy,
+        nextSeq: () => ++this.dialogSeq,
+      }));
+    }
+    return this.dialogWatchers.get(tabId);
+  }
+
+  // Set the dialog policy for one tab, or the default for tabs without their own when tabId is omitted
+  setDialogPolicy(tabId, policy) {
+    if (!DIALOG_POLICIES.includes(policy)) {
+      throw new Error(`Invalid dialog policy '${policy}'. Expected one of: ${DIALOG_POLICIES.join(', ')}`);
+    }
+
+    if (tabId) {
+      this.getDialogWatcher(tabId).policy = policy;
+    } else {
+      this.dialogPolicy = policy;
+    }
+    return {
+      tabId: tabId || null,
+      policy,
+      defaultPolicy: this.dialogPolicy,
+    };
+  }
+
+  // Accept or dismiss the dialog open in a tab (see DialogWatcher.handle)
+  async handleDialog(tabId, { accept, promptText } = {}) {
+    const watcher = this.getDialogWatcher(tabId);
+    const dialog = await this.withTab(tabId, client => watcher.handle(client, { accept, promptText }), { allowOpenDialog: true });
+    return { tabId, ...dialog };
+  }
+
+  // Position in the dialog numbering, to pass to dialogsSince later
+  dialogCursor() {
+    return this.dialogSeq;
+  }
+
+  // Dialogs opened after the cursor in the given tab (any tab without one), with their tab ids
+  dialogsSince(cursor, onlyTabId = null) {
+    const dialogs = [];
+    for (const [tabId, watcher] of this.dialogWatchers) {
+      if (onlyTabId && tabId !== onlyTabId) continue;
+      for (const dialog of watcher.since(cursor)) {
+        dialogs.push({ tabId, ...dialog });
+      }
+    }
+    return dialogs.sort((a, b) => a.seq - b.seq);
+  }
+
+  async startNetworkCapture(tabId, options = {}) {
+    const previous = this.networkRecorders.get(tabId);
+    if (previous && previous.recording) {
+      previous.stop();
+      this.sessions.unpin(tabId);
+    }
+
+    // Pin the session so idle eviction cannot drop the listeners mid-capture
+    const client = await this.sessions.pin(tabId);
+    const recorder = new NetworkRecorder(client, options);
+    recorder.start();
+    this.networkRecorders.set(tabId, recorder);
+
+    return {
+      success: true,
+      tabId,
+      startedAt: recorder.startedAt,
+      captureBodies: recorder.captureBodies,
+      maxEntries: recorder.maxEntries,
+    };
+  }
+
+  async stopNetworkCapture(tabId) {
+    const recorder = this.getNetworkRecorder(tabId);
+
+    if (recorder.recording) {
+      recorder.stop();
+      this.sessions.unpin(tabId);
+    }
+    await recorder.settle();
+
+    return {
+      success: true,
+      tabId,
+      startedAt: recorder.startedAt,
+      stoppedAt: recorder.stoppedAt,
+      entryCount: recorder.entries.size,
+      dropped: recorder.dropped,
+    };
+  }
+
+  async getNetworkLog(tabId, filters = {}) {
+    const recorder = this.getNetworkRecorder(tabId);
+    await recorder.settle();
+
+    const entries = recorder.filter(filters);
+    return {
+      tabId,
+      recording: recorder.recording,
+      total: recorder.entries.size,
+      dropped: recorder.dropped,
+      entries: entries.map(entry => recorder.summarize(entry)),
+    };
+  }
+
+  async exportHar(tabId, filters = {}) {
+    const recorder = this.getNetworkRecorder(tabId);
+    await recorder.settle();
+
+    const entries = recorder.filter(filters);
+    const har = recorder.toHar(entries, { name: 'chrome-control', version: '3.0.0' });
+
+    await fs.mkdir(this.harDir, { recursive: true });
+    const timestamp = Date.now();
+    const randomId = crypto.randomBytes(4).toString('hex');
+    const filename = `network_${timestamp}_${randomId}.har`;
+    const filePath = path.join(this.harDir, filename);
+
+    const content = JSON.stringify(har, null, 2);
+    await fs.writeFile(filePath, content);
+
+    return {
+      path: filePath,
+      filename,
+      entryCount: entries.length,
+      size: Buffer.byteLength(content),
+      timestamp: new Date().toISOString(),
+      tabId,
+    };
+  }
+
+  getNetworkRecorder(tabId) {
+    const recorder = this.networkRecorders.get(tabId);
+    if (!recorder) {
+      throw new Error(`No network capture for tab ${tabId}. Call start_network_capture first.`);
+    }
+    return recorder;
+  }
+
+  // Smart element discovery - scores text and label matches and selector patterns, best first
+  async discoverBestSelector(client, selectorHint, elementType = null, scope = null) {
+    const results = [];
+    
+    // If it looks like a CSS selector already, try it first
+    if (selectorHint && (selectorHint.includes('.') || selectorHint.includes('#') || selectorHint.includes('[') || selectorHint.includes(':'))) {
+      try {
+        const exists = await this.checkElementExists(client, selectorHint, scope);
+        if (exists) {
+          results.push({
+            selector: selectorHint,
+            confidence: 'exact',
+            description: 'User-provided selector',
+            score: 1
+          });
+        }
+      } catch (e) {
+        // Continue to pattern matching
+      }
+    }
+    
+    // Try to determine element type from hint
+    const hintLower = (selectorHint || '').toLowerCase();
+    let patterns = [];
+    
+    // Determine which patterns to try based on hint
+    if (hintLower.includes('submit') || hintLower.includes('send') || hintLower.includes('confirm')) {
+      patterns = SELECTOR_PATTERNS.submit;
+      elementType = 'submit';
+    } else if (hintLower.includes('search') || hintLower.includes('find')) {
+      patterns = SELECTOR_PATTERNS.search;
+      elementType = 'search';
+    } else if (hintLower.includes('login') || hintLower.includes('email') || hintLower.includes('username')) {
+      patterns = SELECTOR_PATTERNS.login;
+      elementType = 'login';
+    } else if (hintLower.includes('password') || hintLower.includes('pass')) {
+      patterns = SELECTOR_PATTERNS.password;
+      elementType = 'password';
+    } else if (/\b(dropdown|select)\b/.test(hintLower)) {
+      patterns = SELECTOR_PATTERNS.select;
+      elementType = 'select';
+    } else if (/\b(checkbox|check box)\b|\btoggle$/.test(hintLower)) {
+      // A trailing "toggle" names a switch ("dark mode toggle"); "toggle menu" does not
+      patterns = SELECTOR_PATTERNS.checkbox;
+      elementType = 'checkbox';
+    } else if (/\bradio\b/.test(hintLower)) {
+      patterns = SELECTOR_PATTERNS.radio;
+      elementType = 'radio';
+    } else if (/\b(upload|file|attach)\b/.test(hintLower)) {
+      patterns = SELECTOR_PATTERNS.file;
+      elementType = 'file';
+    } else if (hintLower.includes('button') || hintLower.includes('btn') || hintLower.includes('click')) {
+      patterns = SELECTOR_PATTERNS.button;
+      elementType = 'button';
+    } else if (hintLower.includes('link')) {
+      patterns = SELECTOR_PATTERNS.link;
+      elementType = 'link';
+    } else if (hintLower.includes('input') || hintLower.includes('field') || hintLower.includes('text')) {
+      patterns = SELECTOR_PATTERNS.input;
+      elementType = 'input';
+    }
+    
+    // Hints like "terms checkbox" or "forgot password link" name the element, so match without the type words
+    const searchHint = hintLower.replace(HINT_TYPE_WORDS, ' ').replace(/\s+/g, ' ').trim();
+    
+    // Score elements by accessible name, associated label and nearby text
+    if (searchHint) {
+      try {
+        const textResult = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall(findElementCandidates, searchHint, elementType, MAX_DISCOVERY_CANDIDATES),
+          returnByValue: true
+        });
+        
+        for (const candidate of textResult.result.value || []) {
+          results.push({
+            selector: candidate.selector,
+            confidence: 'text-match',
+            description: `Found ${candidate.tagName} by ${DISCOVERY_SOURCES[candidate.source]}: "${candidate.matchedText}"`,
+            score: candidate.score
+          });
+        }
+      } catch (e) {
+        // Continue without text matching
+      }
+    }
+    
+    // Form controls fall back to the first control of the requested type
+    let patternScore = PATTERN_MATCH_SCORE;
+    if (patterns.length === 0 && FORM_CONTROL_TYPES.includes(elementType)) {
+      patterns = SELECTOR_PATTERNS[elementType];
+      patternScore = FALLBACK_PATTERN_SCORE;
+    }
+    
+    // Try pattern-based selectors
+    for (const selector of patterns) {
+      try {
+        const exists = await this.checkElementExists(client, selector, scope);
+        if (exists) {
           results.push({
             selector,
             confidence: 'pattern-match',
             description: `${elementType} element pattern`,
-            elementType
+            elementType,
+            score: patternScore
           });
           break; // Use first matching pattern
         }
@@ -575,10 +1440,18 @@ export class ChromeController {
       }
     }
     
-    // Return best match or null
+    // Return best match with the other candidates as alternatives, or null
     if (results.length > 0) {
-      const best = results[0];
-      console.error(`Smart selector discovery: Found ${best.description} using '${best.selector}'`);
+      const ranked = results.sort((a, b) =>
+        (b.confidence === 'exact') - (a.confidence === 'exact') || b.score - a.score
+      );
+      const best = ranked[0];
+      const seen = new Set([best.selector]);
+      best.alternatives = ranked.slice(1)
+        .filter(result => !seen.has(result.selector) && seen.add(result.selector))
+        .slice(0, MAX_DISCOVERY_CANDIDATES - 1)
+        .map(({ selector, description, score }) => ({ selector, description, score }));
+      console.error(`Smart selector discovery: Found ${best.description} using '${best.selector}' (score ${best.score})`);
       return best;
     }
     
@@ -586,26 +1459,24 @@ export class ChromeController {
   }
   
   // Helper to check if element exists and is visible
-  async checkElementExists(client, selector) {
+  async checkElementExists(client, selector, scope = null) {
     try {
-      const result = await client.Runtime.evaluate({
-        expression: `
-          (() => {
-            const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-            if (!element) return false;
-            
-            const rect = element.getBoundingClientRect();
-            const style = window.getComputedStyle(element);
-            
-            return (
-              rect.width > 0 && 
-              rect.height > 0 && 
-              style.display !== 'none' && 
-              style.visibility !== 'hidden' &&
-              style.opacity !== '0'
-            );
-          })()
-        `,
+      const result = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector) => {
+          const element = deepQuerySelector(targetSelector);
+          if (!element) return false;
+          
+          const rect = element.getBoundingClientRect();
+          const style = window.getComputedStyle(element);
+          
+          return (
+            rect.width > 0 && 
+            rect.height > 0 && 
+            style.display !== 'none' && 
+            style.visibility !== 'hidden' &&
+            style.opacity !== '0'
+          );
+        }, selector),
         returnByValue: true
       });
       
@@ -617,94 +1488,96 @@ export class ChromeController {
   
   // Get coordinates using CDP DOM.getContentQuads (preferred) or fallback methods
   async getElementCoordinates(client, selector, options = {}) {
-    try {
-      // Method 1: Try CDP DOM.getContentQuads (most reliable)
-      const document = await client.DOM.getDocument();
-      const node = await client.DOM.querySelector({
-        nodeId: document.root.nodeId,
-        selector: selector
-      });
-      
-      if (node.nodeId) {
-        // Scroll into view if needed
-        try {
-          await client.DOM.scrollIntoViewIfNeeded({ nodeId: node.nodeId });
-        } catch (e) {
-          // scrollIntoViewIfNeeded might not be available, continue
-        }
-        
-        const quads = await client.DOM.getContentQuads({ nodeId: node.nodeId });
-        
-        if (quads.quads && quads.quads.length > 0) {
-          // Use first visible quad and get center point
-          const quad = quads.quads[0]; // [x1, y1, x2, y2, x3, y3, x4, y4]
-          const x = Math.round((quad[0] + quad[4]) / 2); // average of x coords
-          const y = Math.round((quad[1] + quad[5]) / 2); // average of y coords
-          
-          return {
-            success: true,
-            coordinates: { x, y },
-            method: 'DOM.getContentQuads'
-          };
-        }
-      }
-    } catch (error) {
-      // Fall through to fallback methods
-    }
+    const scope = options.scope || null;
+    const sessionId = scope ? scope.sessionId : undefined;
+    const offset = scope ? scope.offset : { x: 0, y: 0 };
+    const boxOffset = boxModelOffset(scope);
     
+    let objectId = null;
     try {
-      // Method 2: Try DOM.getBoxModel as backup
-      const document = await client.DOM.getDocument();
-      const node = await client.DOM.querySelector({
-        nodeId: document.root.nodeId,
-        selector: selector
-      });
-      
-      if (node.nodeId) {
-        const boxModel = await client.DOM.getBoxModel({ nodeId: node.nodeId });
-        
-        if (boxModel.model && boxModel.model.content) {
-          const content = boxModel.model.content; // [x1, y1, x2, y2, x3, y3, x4, y4]
-          const x = Math.round((content[0] + content[4]) / 2);
-          const y = Math.round((content[1] + content[5]) / 2);
-          
-          return {
-            success: true,
-            coordinates: { x, y },
-            method: 'DOM.getBoxModel'
-          };
-        }
-      }
+      objectId = await this.queryElementObject(client, selector, scope);
     } catch (error) {
       // Fall through to JavaScript fallback
     }
     
     try {
-      // Method 3: JavaScript fallback with proper serialization
-      const result = await client.Runtime.evaluate({
-        expression: `
-          (() => {
-            const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-            if (!element) return null;
+      if (objectId) {
+        try {
+          // Method 1: Try CDP DOM.getContentQuads (most reliable)
+          // Scroll into view if needed
+          try {
+            await client.DOM.scrollIntoViewIfNeeded({ objectId }, sessionId);
+          } catch (e) {
+            // scrollIntoViewIfNeeded might not be available, continue
+          }
+          
+          const quads = await client.DOM.getContentQuads({ objectId }, sessionId);
+          
+          if (quads.quads && quads.quads.length > 0) {
+            // Use first visible quad and get center point
+            const quad = quads.quads[0]; // [x1, y1, x2, y2, x3, y3, x4, y4]
+            const x = Math.round((quad[0] + quad[4]) / 2 + boxOffset.x); // average of x coords
+            const y = Math.round((quad[1] + quad[5]) / 2 + boxOffset.y); // average of y coords
             
-            const rect = element.getBoundingClientRect();
             return {
-              x: rect.x,
-              y: rect.y, 
-              width: rect.width,
-              height: rect.height,
-              left: rect.left,
-              top: rect.top
+              success: true,
+              coordinates: { x, y },
+              method: 'DOM.getContentQuads'
             };
-          })()
-        `,
-        returnByValue: true
+          }
+        } catch (error) {
+          // Fall through to fallback methods
+        }
+        
+        try {
+          // Method 2: Try DOM.getBoxModel as backup
+          const boxModel = await client.DOM.getBoxModel({ objectId }, sessionId);
+          
+          if (boxModel.model && boxModel.model.content) {
+            const content = boxModel.model.content; // [x1, y1, x2, y2, x3, y3, x4, y4]
+            const x = Math.round((content[0] + content[4]) / 2 + boxOffset.x);
+            const y = Math.round((content[1] + content[5]) / 2 + boxOffset.y);
+            
+            return {
+              success: true,
+              coordinates: { x, y },
+              method: 'DOM.getBoxModel'
+            };
+          }
+        } catch (error) {
+          // Fall through to JavaScript fallback
+        }
+      }
+    } finally {
+      if (objectId) {
+        await this.releaseObject(client, objectId, scope);
+      }
+    }
+    
+    try {
+      // Method 3: JavaScript fallback with proper serialization
+      const result = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector) => {
+          const element = deepQuerySelector(targetSelector);
+          if (!element) return null;
+          
+          const rect = element.getBoundingClientRect();
+          return {
+            x: rect.x,
+            y: rect.y, 
+            width: rect.width,
+            height: rect.height,
+            left: rect.left,
+            top: rect.top
+          };
+        }, selector),
+        returnByValue: true
       });
       
       const bounds = result.result.value;
       if (bounds && bounds.width > 0 && bounds.height > 0) {
-        const x = Math.round(bounds.left + bounds.width / 2);
-        const y = Math.round(bounds.top + bounds.height / 2);
+        const x = Math.round(bounds.left + bounds.width / 2 + offset.x);
+        const y = Math.round(bounds.top + bounds.height / 2 + offset.y);
         
         return {
           success: true,
@@ -723,78 +1596,140 @@ export class ChromeController {
     };
   }
 
+  // Viewport-relative border box of an element, scrolled into view first
+  async getElementBounds(client, selector, scope = null) {
+    const sessionId = scope ? scope.sessionId : undefined;
+    const offset = scope ? scope.offset : { x: 0, y: 0 };
+    const shift = (bounds, by = offset) => ({ ...bounds, x: bounds.x + by.x, y: bounds.y + by.y });
+
+    try {
+      const objectId = await this.queryElementObject(client, selector, scope);
+
+      if (objectId) {
+        try {
+          try {
+            await client.DOM.scrollIntoViewIfNeeded({ objectId }, sessionId);
+          } catch (e) {
+            // scrollIntoViewIfNeeded might not be available, continue
+          }
+
+          const boxModel = await client.DOM.getBoxModel({ objectId }, sessionId);
+          if (boxModel.model && boxModel.model.border) {
+            return shift(quadToBounds(boxModel.model.border), boxModelOffset(scope));
+          }
+        } finally {
+          await this.releaseObject(client, objectId, scope);
+        }
+      }
+    } catch (error) {
+      // Fall through to JavaScript fallback
+    }
+
+    const result = await this.evaluateInScope(client, scope, {
+      expression: pageFunctionCall((targetSelector) => {
+        const element = deepQuerySelector(targetSelector);
+        if (!element) return null;
+
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+        const rect = element.getBoundingClientRect();
+        return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      }, selector),
+      returnByValue: true
+    });
+
+    const bounds = result.result.value;
+    if (!bounds) {
+      throw new Error(`Element '${selector}' not found`);
+    }
+    if (bounds.width === 0 || bounds.height === 0) {
+      throw new Error(`Element '${selector}' has no visible size`);
+    }
+    return shift(bounds);
+  }
+
   // NEW: Element interaction methods with MutationObserver support
-  async waitForElement(client, selector, timeout = 5000) {
+  // Wait for an element to exist and (unless options.visible is false) be visible
+  async waitForElement(client, selector, timeout = 5000, options = {}) {
+    const requireVisible = options.visible !== false;
+    
     try {
-      const result = await client.Runtime.evaluate({
-        expression: `
-          new Promise((resolve, reject) => {
-            const findElement = () => {
-              const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-              if (!element) {
-                return null;
-              }
-              
-              // Modern visibility detection - offsetParent is unreliable
-              const rect = element.getBoundingClientRect();
-              const style = window.getComputedStyle(element);
-              
-              const isVisible = (
-                rect.width > 0 && 
-                rect.height > 0 && 
-                style.display !== 'none' && 
-                style.visibility !== 'hidden' && 
-                style.opacity !== '0'
-              );
-              
-              return {
-                exists: true,
-                visible: isVisible,
-                bounds: rect,
-                styles: {
-                  display: style.display,
-                  visibility: style.visibility,
-                  opacity: style.opacity
-                }
-              };
-            };
-            
-            // Check immediately
-            const element = findElement();
-            if (element && element.visible) {
-              return resolve(element);
+      const result = await this.evaluateInScope(client, options.scope || null, {
+        expression: pageFunctionCall((targetSelector, waitTimeout, visibleRequired) => new Promise((resolve, reject) => {
+          const findElement = () => {
+            const element = deepQuerySelector(targetSelector);
+            if (!element) {
+              return null;
             }
             
-            // Use MutationObserver for dynamic content
-            const observer = new MutationObserver((mutations, obs) => {
-              const element = findElement();
-              if (element && element.visible) {
-                obs.disconnect();
-                resolve(element);
-              }
-            });
+            // Modern visibility detection - offsetParent is unreliable
+            const rect = element.getBoundingClientRect();
+            const style = window.getComputedStyle(element);
             
-            // Watch for DOM changes
-            observer.observe(document.body, {
-              childList: true,
-              subtree: true,
-              attributes: true,
-              attributeFilter: ['style', 'class']
-            });
+            const isVisible = (
+              rect.width > 0 && 
+              rect.height > 0 && 
+              style.display !== 'none' && 
+              style.visibility !== 'hidden' && 
+              style.opacity !== '0'
+            );
             
-            // Timeout fallback
-            setTimeout(() => {
-              observer.disconnect();
-              const element = findElement();
-              if (element && element.exists) {
-                // Element exists but may not be visible
-                resolve(element);
-              } else {
-                reject(new Error(\`Element '\${selector}' not found within \${timeout}ms\`));
+            return {
+              exists: true,
+              visible: isVisible,
+              bounds: rect.toJSON(),
+              styles: {
+                display: style.display,
+                visibility: style.visibility,
+                opacity: style.opacity
               }
-            }, ${timeout});
+            };
+          };
+          
+          // Check immediately
+          const element = findElement();
+          if (element && (element.visible || !visibleRequired)) {
+            return resolve(element);
+          }
+          
+          let poll = null;
+          const check = () => {
+            const element = findElement();
+            if (element && (element.visible || !visibleRequired)) {
+              observer.disconnect();
+              clearInterval(poll);
+              resolve(element);
+            }
+          };
+          
+          // Use MutationObserver for dynamic content
+          const observer = new MutationObserver(check);
+          
+          // Watch for DOM changes
+          observer.observe(document.body || document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['style', 'class']
           });
-        `,
+          
+          // Changes inside shadow roots and text edits are invisible to the observer, so poll for those selectors
+          if (targetSelector.includes('>>>') || ['text', 'role'].includes(selectorEngine(targetSelector).engine)) {
+            poll = setInterval(check, 100);
+          }
+          
+          // Timeout fallback
+          setTimeout(() => {
+            observer.disconnect();
+            clearInterval(poll);
+            const element = findElement();
+            if (element && element.exists) {
+              // Element exists but may not be visible
+              resolve(element);
+            } else {
+              reject(new Error(`Element '${targetSelector}' not found within ${waitTimeout}ms`));
+            }
+          }, waitTimeout);
+        }), selector, timeout, requireVisible),
         returnByValue: true,
         awaitPromise: true
       });
@@ -812,12 +1747,45 @@ export class ChromeController {
     }
   }
 
+  /**
+   * Split a selector into its engine and body, checking engine syntax up front.
+   * Prefixes pick the engine explicitly: "css=", "xpath=", "text=" (quoted for
+   * an exact match, /regex/ or a substring) and "role=" with optional name,
+   * level and state attributes. "ref=" is what snapshot refs resolve to (see
+   * resolveRef). Unprefixed selectors are CSS (or smart hints).
+   */
+  parseSelector(selector) {
+    const parsed = selectorEngine(selector);
+    if (!parsed.explicit) {
+      return parsed;
+    }
+
+    if (!parsed.body) {
+      throw new Error(`Invalid selector '${selector}': nothing after '${parsed.engine}='`);
+    }
+    try {
+      if (parsed.engine === 'text') {
+        textMatcher(parsed.body);
+      } else if (parsed.engine === 'role') {
+        const role = parseRoleSelector(parsed.body);
+        if (role.name !== null) textMatcher(role.name);
+      } else if (parsed.engine === 'ref' && !/^e\d+$/.test(parsed.body)) {
+        throw new Error('refs look like "e42" and come from get_accessibility_snapshot');
+      }
+    } catch (error) {
+      throw new Error(`Invalid selector '${selector}': ${error.message}`);
+    }
+    return parsed;
+  }
+
   async validateSelector(selector) {
     // Basic validation to prevent CSS injection
     if (!selector || typeof selector !== 'string') {
       throw new Error('Invalid selector: must be a non-empty string');
     }
     
+    this.parseSelector(selector);
+    
     if (selector.includes('javascript:') || selector.includes('<script')) {
       throw new Error('Invalid selector: potential security risk detected');
     }
@@ -835,102 +1803,811 @@ export class ChromeController {
     return true;
   }
 
+  /**
+   * Execution scope for a frame picked by name, URL pattern or index, or
+   * null for the main frame. Element tools evaluate in an isolated world of
+   * the frame; frames in another process (cross-origin iframes under site
+   * isolation) are reached through their own target session. `offset` maps
+   * coordinates in the frame's viewport into the page's.
+   */
+  async resolveFrame(client, frame) {
+    if (frame === undefined || frame === null || frame === '') {
+      return null;
+    }
+
+    const frames = [];
+    const { frameTree } = await client.Page.getFrameTree();
+    const collect = (node, depth) => {
+      if (depth > 0) frames.push(node.frame);
+      (node.childFrames || []).forEach(child => collect(child, depth + 1));
+    };
+    collect(frameTree, 0);
+
+    // Out-of-process frames may be missing from the tree; their target id is the frame id
+    try {
+      const { targetInfos } = await client.Target.getTargets();
+      targetInfos
+        .filter(info => info.type === 'iframe' && !frames.some(known => known.id === info.targetId))
+        .forEach(info => frames.push({ id: info.targetId, name: '', url: info.url }));
+    } catch (error) {
+      // Target domain unavailable; same-process frames still work
+    }
+
+    const match = findFrame(frames, frame);
+    if (!match) {
+      const known = frames.map((candidate, index) =>
+        `${index}: ${candidate.name ? `"${candidate.name}" ` : ''}${candidate.url}`);
+      throw new Error(`Frame '${frame}' not found. Available frames: ${known.length > 0 ? known.join(', ') : 'none'}`);
+    }
+
+    const scope = { frameId: match.id, name: match.name, url: match.url, sessionId: undefined, offset: { x: 0, y: 0 } };
+
+    // Where the frame's viewport sits in the page's, from its <iframe> element's content box
+    const locateFrame = async () => {
+      await client.DOM.getDocument();
+      const { backendNodeId } = await client.DOM.getFrameOwner({ frameId: match.id });
+      const { model } = await client.DOM.getBoxModel({ backendNodeId });
+      return { x: model.content[0], y: model.content[1] };
+    };
+
+    try {
+      const world = await client.Page.createIsolatedWorld({ frameId: match.id, worldName: FRAME_WORLD_NAME });
+      scope.contextId = world.executionContextId;
+    } catch (error) {
+      // Not in this renderer process; attach to the frame's own target below
+    }
+
+    if (scope.contextId) {
+      try {
+        scope.offset = await locateFrame();
+      } catch (error) {
+        // A frame without a box (e.g. hidden) can still be read, just not pointed at
+      }
+      return scope;
+    }
+
+    const sessions = this.frameSessions.get(client) || new Map();
+    this.frameSessions.set(client, sessions);
+
+    const createWorld = async (sessionId) => {
+      const world = await client.Page.createIsolatedWorld({ frameId: match.id, worldName: FRAME_WORLD_NAME }, sessionId);
+      return world.executionContextId;
+    };
+
+    try {
+      scope.sessionId = sessions.get(match.id);
+      scope.contextId = scope.sessionId ? await createWorld(scope.sessionId) : undefined;
+    } catch (error) {
+      // The cached session ended (frame navigated or was removed)
+      client.Target.detachFromTarget({ sessionId: scope.sessionId }).catch(() => {});
+      sessions.delete(match.id);
+      scope.sessionId = undefined;
+    }
+
+    if (!scope.contextId) {
+      try {
+        ({ sessionId: scope.sessionId } = await client.Target.attachToTarget({ targetId: match.id, flatten: true }));
+        scope.contextId = await createWorld(scope.sessionId);
+        sessions.set(match.id, scope.sessionId);
+      } catch (error) {
+        throw new Error(`Cannot access frame '${frame}' (${match.url}): ${error.message}`);
+      }
+    }
+
+    // Coordinates inside the frame are relative to its own viewport
+    try {
+      scope.offset = await locateFrame();
+    } catch (error) {
+      throw new Error(`Cannot locate frame '${frame}' in the page; frames nested inside cross-origin frames are not supported`);
+    }
+
+    return scope;
+  }
+
+  // Detach the out-of-process frame sessions attached through a tab's client
+  detachFrameSessions(client) {
+    const sessions = this.frameSessions.get(client);
+    if (!sessions) return;
+
+    for (const sessionId of sessions.values()) {
+      client.Target.detachFromTarget({ sessionId }).catch(() => {
+        // The tab's connection is already gone, and its sessions with it
+      });
+    }
+    this.frameSessions.delete(client);
+  }
+
+  // Runtime.evaluate in a frame scope from resolveFrame (the main frame when null)
+  evaluateInScope(client, scope, params) {
+    if (!scope) {
+      return client.Runtime.evaluate(params);
+    }
+    return client.Runtime.evaluate({ ...params, contextId: scope.contextId }, scope.sessionId);
+  }
+
+  // Remote object id of the element a (possibly ">>>" piercing) selector matches, or null
+  async queryElementObject(client, selector, scope = null) {
+    const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+      expression: pageFunctionCall(deepQuerySelector, selector),
+    });
+
+    if (exceptionDetails) {
+      throw new Error(`Invalid selector '${selector}': ${exceptionMessage(exceptionDetails)}`);
+    }
+    return result.subtype === 'null' ? null : result.objectId;
+  }
+
+  async releaseObject(client, objectId, scope = null) {
+    try {
+      await client.Runtime.releaseObject({ objectId }, scope ? scope.sessionId : undefined);
+    } catch (error) {
+      // The context is gone, and the object with it
+    }
+  }
+
+  /**
+   * Turn a selector, smart hint or snapshot ref into a selector.
+   * Engine-prefixed selectors (see parseSelector) are used as given; other
+   * hints that do not look like CSS go through smart discovery for elementType.
+   * options.frame selects the frame to search (see resolveFrame); the
+   * returned scope is passed on to the element helpers.
+   */
+  async resolveTarget(client, selectorOrHint, options = {}, elementType = 'button') {
+    let selector = selectorOrHint;
+    let discoveryInfo = null;
+    
+    // Refs come from the main frame's accessibility snapshot and get their own scope
+    let scope = options.ref ? null : await this.resolveFrame(client, options.frame);
+    
+    // Try smart discovery if not a clear CSS selector
+    const looksLikeSelector = selectorOrHint && (
+      this.parseSelector(selectorOrHint).explicit ||
+      selectorOrHint.startsWith('.') || 
+      selectorOrHint.startsWith('#') || 
+      selectorOrHint.includes('[') ||
+      selectorOrHint.includes('>') ||
+      selectorOrHint.includes(' .')
+    );
+    
+    if (options.ref) {
+      ({ selector, scope } = await this.resolveRef(client, options.ref));
+    } else if (!looksLikeSelector) {
+      // Use smart discovery
+      discoveryInfo = await this.discoverBestSelector(client, selectorOrHint, elementType, scope);
+      if (discoveryInfo) {
+        selector = discoveryInfo.selector;
+        console.error(`Smart ${options.action || 'click'}: Using ${discoveryInfo.description}`);
+      } else {
+        // If discovery fails, try as literal selector
+        selector = selectorOrHint;
+      }
+    }
+    
+    return { selector, discoveryInfo, scope };
+  }
+
+  /**
+   * Resolve a target, wait for it and get its viewport center for Input events.
+   * With options.actionability ({ enabled }), also waits until the element
+   * can take the pointer event there (see waitForActionable) unless options.force.
+   */
+  async locateElement(client, selectorOrHint, options = {}, elementType = 'button') {
+    const { selector, discoveryInfo, scope } = await this.resolveTarget(client, selectorOrHint, options, elementType);
+    // Waiting for the element and for it to become actionable share one timeout
+    const deadline = Date.now() + (options.timeout || 5000);
+    
+    // Validate and sanitize selector
+    await this.validateSelector(selector);
+    
+    // Wait for element to be present and visible
+    await this.waitForElement(client, selector, options.timeout, { scope });
+    
+    // Get coordinates using CDP DOM methods
+    let coordResult = await this.getElementCoordinates(client, selector, { ...options, scope });
+    
+    if (options.actionability && !options.force) {
+      coordResult = await this.waitForActionable(client, selector, scope, coordResult, { ...options, deadline });
+    }
+    
+    return { selector, discoveryInfo, scope, coordResult };
+  }
+
+  /**
+   * Check that the element is enabled (when options.actionability.enabled),
+   * stable and not covered at its coordinates, measuring again while it
+   * moves or is covered. Throws at options.deadline with the reason,
+   * naming the element in the way when it is obscured.
+   */
+  async waitForActionable(client, selector, scope, coordResult, options) {
+    const offset = scope ? scope.offset : { x: 0, y: 0 };
+    const deadline = options.deadline;
+    let current = coordResult;
+
+    while (true) {
+      // Without coordinates the JavaScript fallback acts on the element directly, so only the hit-test is skipped
+      const point = current.success && current.coordinates ? current.coordinates : null;
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall(
+          checkActionability, selector, point && point.x - offset.x, point && point.y - offset.y, options.actionability.enabled
+        ),
+        returnByValue: true,
+        awaitPromise: true
+      });
+      if (exceptionDetails) {
+        throw new Error(`Actionability check failed for '${selector}': ${exceptionMessage(exceptionDetails)}`);
+      }
+
+      const check = result.value;
+      if (check.actionable) {
+        return current;
+      }
+      if (Date.now() >= deadline) {
+        const problem = check.reason === 'obscured'
+          ? `is covered by ${check.obscuredBy.description}${check.obscuredBy.selector ? ` (${check.obscuredBy.selector})` : ''} at (${point.x}, ${point.y})`
+          : NOT_ACTIONABLE_REASONS[check.reason];
+        throw new Error(`Element '${selector}' ${problem}. Pass force: true to skip actionability checks`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, ACTIONABILITY_RETRY_INTERVAL));
+      current = await this.getElementCoordinates(client, selector, { scope });
+    }
+  }
+
   async clickElement(tabId, selectorOrHint, options = {}) {
     return this.withTab(tabId, async (client) => {
-      let selector = selectorOrHint;
-      let discoveryInfo = null;
-      
-      // Try smart discovery if not a clear CSS selector
-      const looksLikeSelector = selectorOrHint && (
-        selectorOrHint.startsWith('.') || 
-        selectorOrHint.startsWith('#') || 
-        selectorOrHint.includes('[') ||
-        selectorOrHint.includes('>') ||
-        selectorOrHint.includes(' .')
-      );
+      const { selector, discoveryInfo, scope, coordResult } =
+        await this.locateElement(client, selectorOrHint, { ...options, action: 'click', actionability: { enabled: true } }, 'button');
       
-      if (!looksLikeSelector) {
-        // Use smart discovery
-        discoveryInfo = await this.discoverBestSelector(client, selectorOrHint, 'button');
-        if (discoveryInfo) {
-          selector = discoveryInfo.selector;
-          console.error(`Smart click: Using ${discoveryInfo.description}`);
-        } else {
-          // If discovery fails, try as literal selector
-          selector = selectorOrHint;
+      const { value: click, effects } = await this.observeEffects(client, scope, { window: options.effectsWindow }, async () => {
+        // Try CDP Input API if we have valid coordinates
+        if (coordResult.success && coordResult.coordinates && client.Input && client.Input.dispatchMouseEvent) {
+          try {
+            const { x, y } = coordResult.coordinates;
+            
+            // Use Chrome DevTools Input API - produces trusted events
+            await client.Input.dispatchMouseEvent({
+              type: 'mousePressed',
+              x: x,
+              y: y,
+              button: 'left',
+              clickCount: 1
+            });
+            
+            await client.Input.dispatchMouseEvent({
+              type: 'mouseReleased',
+              x: x,
+              y: y,
+              button: 'left',
+              clickCount: 1
+            });
+            
+            return {
+              coordinates: coordResult.coordinates,
+              method: `CDP_Input_API_via_${coordResult.method}`
+            };
+            
+          } catch (error) {
+            // Fall through to JavaScript fallback
+          }
+        }
+        
+        // Enhanced JavaScript fallback with proper event sequence
+        const fallback = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector) => {
+            const element = deepQuerySelector(targetSelector);
+            if (element) {
+              element.scrollIntoView({ behavior: 'instant', block: 'center' });
+              
+              // Fire proper event sequence for better compatibility
+              element.dispatchEvent(new PointerEvent('pointerover', { bubbles: true, composed: true, pointerId: 1 }));
+              element.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, composed: true, pointerId: 1 }));
+              element.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, composed: true }));
+              element.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, composed: true }));
+              element.dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+              element.dispatchEvent(new PointerEvent('pointerup', { bubbles: true, composed: true, pointerId: 1 }));
+            }
+            return Boolean(element);
+          }, selector),
+          returnByValue: true
+        });
+        if (!fallback.result.value) {
+          throw new Error(`Element '${selector}' is no longer in the page`);
+        }
+
+        return {
+          coordinates: coordResult.coordinates || { x: null, y: null },
+          method: `JavaScript_fallback_from_${coordResult.method}`
+        };
+      });
+
+      return {
+        success: true,
+        selector,
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        coordinates: click.coordinates,
+        method: click.method,
+        effects
+      };
+    });
+  }
+
+  /**
+   * Run action() and report what followed within options.window ms (default
+   * EFFECTS_WINDOW, cut short once a navigation commits or a dialog or new
+   * tab opens): a main frame navigation, DOM mutations in the scope's
+   * document (null when it could not be watched or was replaced), a
+   * JavaScript dialog or a new tab. Callers that wait for their own outcome
+   * pass a window of 0.
+   * Resolves to { value, effects } with action()'s result as value.
+   */
+  async observeEffects(client, scope, options, action) {
+    const { frameTree } = await client.Page.getFrameTree();
+    const mainFrameId = frameTree.frame.id;
+    const sessionId = scope ? scope.sessionId : undefined;
+    const effects = { navigation: null, domMutations: null, dialog: null, newTab: null };
+    // Set once a navigation commits or a dialog or tab opens; nothing more to wait for after that
+    let settled = false;
+
+    const listeners = {
+      'Page.frameRequestedNavigation': ({ frameId, url }) => {
+        if (frameId === mainFrameId && !effects.navigation) effects.navigation = { url, sameDocument: false };
+      },
+      'Page.frameNavigated': ({ frame }) => {
+        if (!frame.parentId) {
+          effects.navigation = { url: frame.url, sameDocument: false };
+          settled = true;
         }
+      },
+      'Page.navigatedWithinDocument': ({ frameId, url }) => {
+        if (frameId === mainFrameId) {
+          effects.navigation = { url, sameDocument: true };
+          settled = true;
+        }
+      },
+      'Page.javascriptDialogOpening': ({ type, message }) => {
+        effects.dialog = { type, message };
+        settled = true;
+      },
+      'Page.windowOpen': ({ url }) => {
+        effects.newTab = { url };
+        settled = true;
+      },
+    };
+    for (const [event, handler] of Object.entries(listeners)) {
+      client.on(event, handler);
+    }
+
+    // The page-side counter, stopped once; later calls return the first count
+    let recordId = null;
+    let mutations;
+    const stopCounting = async () => {
+      if (mutations !== undefined) return mutations;
+      mutations = null;
+      try {
+        const { result } = await client.Runtime.callFunctionOn({
+          objectId: recordId,
+          functionDeclaration: 'function() { return this.stop(); }',
+          returnByValue: true,
+        }, sessionId);
+        mutations = typeof result.value === 'number' ? result.value : null;
+      } catch (error) {
+        // The document was replaced by a navigation
       }
-      
-      // Validate and sanitize selector
-      await this.validateSelector(selector);
-      
-      // Wait for element to be present and visible
-      await this.waitForElement(client, selector, options.timeout);
-      
-      // Get coordinates using CDP DOM methods
-      const coordResult = await this.getElementCoordinates(client, selector, options);
-      
-      // Try CDP Input API if we have valid coordinates
-      if (coordResult.success && coordResult.coordinates && client.Input && client.Input.dispatchMouseEvent) {
-        try {
-          const { x, y } = coordResult.coordinates;
-          
-          // Use Chrome DevTools Input API - produces trusted events
+      await this.releaseObject(client, recordId, scope);
+      return mutations;
+    };
+
+    try {
+      try {
+        const { result } = await this.evaluateInScope(client, scope, { expression: pageFunctionCall(observeMutations) });
+        recordId = result.objectId || null;
+      } catch (error) {
+        // Counting mutations is best effort; the CDP events still apply
+      }
+
+      const value = await action();
+
+      // An open dialog blocks the page, so stop there instead of evaluating into it
+      const deadline = Date.now() + (options.window ?? EFFECTS_WINDOW);
+      while (Date.now() < deadline && !settled) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      if (recordId && !effects.dialog) {
+        effects.domMutations = await stopCounting();
+      }
+
+      return { value, effects };
+    } finally {
+      for (const [event, handler] of Object.entries(listeners)) {
+        client.removeListener(event, handler);
+      }
+      if (recordId && !effects.dialog) {
+        await stopCounting();
+      }
+    }
+  }
+
+  async hoverElement(tabId, selectorOrHint, options = {}) {
+    return this.performMouseAction(tabId, selectorOrHint, 'hover', options);
+  }
+
+  async doubleClickElement(tabId, selectorOrHint, options = {}) {
+    return this.performMouseAction(tabId, selectorOrHint, 'double_click', options);
+  }
+
+  async rightClickElement(tabId, selectorOrHint, options = {}) {
+    return this.performMouseAction(tabId, selectorOrHint, 'right_click', options);
+  }
+
+  /**
+   * Move the mouse to an element's center and press the button for the action
+   * (none for hover). options.modifiers lists keys held during the action.
+   */
+  async performMouseAction(tabId, selectorOrHint, action, options = {}) {
+    const { button, clickCount } = MOUSE_ACTIONS[action];
+    const modifiers = modifierMask(options.modifiers);
+
+    return this.withTab(tabId, async (client) => {
+      const { selector, discoveryInfo, scope, coordResult } =
+        await this.locateElement(client, selectorOrHint, { ...options, action, actionability: { enabled: action !== 'hover' } }, 'button');
+
+      if (!coordResult.success || !coordResult.coordinates) {
+        throw new Error(`Could not determine the position of element '${selector}'`);
+      }
+
+      const { x, y } = coordResult.coordinates;
+      await client.Input.dispatchMouseEvent({ type: 'mouseMoved', x, y, modifiers });
+
+      // Each press carries its running click count so the page sees click, then dblclick
+      for (let count = 1; count <= clickCount; count++) {
+        await client.Input.dispatchMouseEvent({
+          type: 'mousePressed', x, y, button, buttons: MOUSE_BUTTONS[button], clickCount: count, modifiers,
+        });
+        await client.Input.dispatchMouseEvent({
+          type: 'mouseReleased', x, y, button, buttons: 0, clickCount: count, modifiers,
+        });
+      }
+
+      return {
+        success: true,
+        selector,
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        coordinates: coordResult.coordinates,
+        method: `CDP_Input_API_via_${coordResult.method}`
+      };
+    });
+  }
+
+  /**
+   * Drag from a source to a target. Each end is { selector, ref } or
+   * viewport coordinates { x, y }. Pointer-based drag libraries see a press,
+   * `steps` intermediate moves and a release; native HTML5 drags are
+   * intercepted and completed with Input.dispatchDragEvent.
+   */
+  async dragAndDrop(tabId, source, target, options = {}) {
+    const { steps = 10, timeout } = options;
+
+    return this.withTab(tabId, async (client) => {
+      const from = await this.resolveDragPoint(client, source, timeout, 'source');
+      const to = await this.resolveDragPoint(client, target, timeout, 'target');
+
+      let dragData = null;
+      const onDragIntercepted = ({ data }) => {
+        dragData = data;
+      };
+
+      let intercepting = false;
+      client.on('Input.dragIntercepted', onDragIntercepted);
+      try {
+        await client.Input.setInterceptDrags({ enabled: true });
+        intercepting = true;
+      } catch (error) {
+        console.error('Warning: Could not intercept drags, native drag and drop may not complete:', error.message);
+      }
+
+      try {
+        await client.Input.dispatchMouseEvent({ type: 'mouseMoved', x: from.x, y: from.y });
+        await client.Input.dispatchMouseEvent({
+          type: 'mousePressed', x: from.x, y: from.y, button: 'left', buttons: 1, clickCount: 1,
+        });
+
+        for (let step = 1; step <= steps; step++) {
           await client.Input.dispatchMouseEvent({
-            type: 'mousePressed',
-            x: x,
-            y: y,
+            type: 'mouseMoved',
+            x: from.x + ((to.x - from.x) * step) / steps,
+            y: from.y + ((to.y - from.y) * step) / steps,
             button: 'left',
-            clickCount: 1
+            buttons: 1,
           });
-          
-          await client.Input.dispatchMouseEvent({
-            type: 'mouseReleased',
-            x: x,
-            y: y,
-            button: 'left',
-            clickCount: 1
+        }
+
+        // dragIntercepted arrives asynchronously after the first moves
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (dragData) {
+          for (const type of ['dragEnter', 'dragOver', 'drop']) {
+            await client.Input.dispatchDragEvent({ type, x: to.x, y: to.y, data: dragData });
+          }
+        }
+
+        await client.Input.dispatchMouseEvent({
+          type: 'mouseReleased', x: to.x, y: to.y, button: 'left', buttons: 0, clickCount: 1,
+        });
+      } finally {
+        client.removeListener('Input.dragIntercepted', onDragIntercepted);
+        if (intercepting) {
+          await client.Input.setInterceptDrags({ enabled: false }).catch(() => {});
+        }
+      }
+
+      return {
+        success: true,
+        source: from,
+        target: to,
+        steps,
+        method: dragData ? 'html5_drag_events' : 'mouse_events',
+      };
+    });
+  }
+
+  // Viewport point for one end of a drag: explicit coordinates or an element's center
+  async resolveDragPoint(client, point, timeout, label) {
+    if (point.selector || point.ref) {
+      const { selector, coordResult } =
+        await this.locateElement(client, point.selector, { ref: point.ref, timeout, action: 'drag' }, 'button');
+      if (!coordResult.success || !coordResult.coordinates) {
+        throw new Error(`Could not determine the position of drag ${label} '${selector}'`);
+      }
+      return { selector, ...coordResult.coordinates };
+    }
+
+    if (typeof point.x === 'number' && typeof point.y === 'number') {
+      return { selector: null, x: point.x, y: point.y };
+    }
+
+    throw new Error(`Drag ${label} needs a selector, a ref, or both x and y coordinates`);
+  }
+
+  /**
+   * Select options of a <select> by value, visible label or index.
+   * Several options can only be chosen on a multi-select.
+   */
+  async selectOption(tabId, selectorOrHint, choices = {}, options = {}) {
+    const { values = [], labels = [], indexes = [] } = choices;
+    if (values.length + labels.length + indexes.length === 0) {
+      throw new Error('Provide at least one of values, labels or indexes');
+    }
+
+    return this.withTab(tabId, async (client) => {
+      const { selector, discoveryInfo, scope } =
+        await this.resolveTarget(client, selectorOrHint, { ...options, action: 'select' }, 'select');
+      await this.validateSelector(selector);
+      await this.waitForElement(client, selector, options.timeout, { scope });
+
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector, wanted) => {
+          const select = deepQuerySelector(targetSelector);
+          if (!select) return { error: `Element '${targetSelector}' not found` };
+          if (select.tagName !== 'SELECT') {
+            return { error: `Element '${targetSelector}' is a <${select.tagName.toLowerCase()}>, not a <select>. Use click_element for custom dropdowns` };
+          }
+          if (select.disabled) return { error: `Select '${targetSelector}' is disabled` };
+
+          const all = Array.from(select.options);
+          const describe = option => ({ value: option.value, label: option.label || option.text.trim(), index: option.index });
+          const matched = [];
+          const missing = [];
+
+          wanted.values.forEach(value => {
+            const option = all.find(candidate => candidate.value === String(value));
+            option ? matched.push(option) : missing.push(`value "${value}"`);
           });
-          
+          wanted.labels.forEach(label => {
+            const normalized = String(label).trim().toLowerCase();
+            const option = all.find(candidate => (candidate.label || candidate.text).trim().toLowerCase() === normalized) ||
+              all.find(candidate => (candidate.label || candidate.text).trim().toLowerCase().includes(normalized));
+            option ? matched.push(option) : missing.push(`label "${label}"`);
+          });
+          wanted.indexes.forEach(index => {
+            const option = all[index];
+            option ? matched.push(option) : missing.push(`index ${index}`);
+          });
+
+          if (missing.length > 0) {
+            return {
+              error: `No option with ${missing.join(', ')}`,
+              available: all.slice(0, 50).map(describe),
+            };
+          }
+
+          const unique = Array.from(new Set(matched));
+          if (unique.length > 1 && !select.multiple) {
+            return { error: `Select '${targetSelector}' is not a multi-select; choose one option` };
+          }
+          const disabled = unique.find(option => option.disabled);
+          if (disabled) return { error: `Option "${disabled.text.trim()}" is disabled` };
+
+          select.focus();
+          if (select.multiple) {
+            all.forEach(option => { option.selected = unique.includes(option); });
+          } else {
+            select.value = unique[0].value;
+          }
+          select.dispatchEvent(new Event('input', { bubbles: true }));
+          select.dispatchEvent(new Event('change', { bubbles: true }));
+
           return {
-            success: true,
-            selector,
-            originalHint: selectorOrHint !== selector ? selectorOrHint : undefined,
-            discovery: discoveryInfo ? discoveryInfo.description : undefined,
-            coordinates: coordResult.coordinates,
-            method: `CDP_Input_API_via_${coordResult.method}`
+            multiple: select.multiple,
+            selected: Array.from(select.selectedOptions).map(describe),
           };
-          
-        } catch (error) {
-          // Fall through to JavaScript fallback
-        }
+        }, selector, { values, labels, indexes }),
+        returnByValue: true,
+      });
+
+      if (exceptionDetails) {
+        throw new Error(`Could not select options in '${selector}': ${exceptionMessage(exceptionDetails)}`);
       }
-      
-      // Enhanced JavaScript fallback with proper event sequence
-      await client.Runtime.evaluate({
-        expression: `
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          if (element) {
-            element.scrollIntoView({ behavior: 'instant', block: 'center' });
-            
-            // Fire proper event sequence for better compatibility
-            element.dispatchEvent(new PointerEvent('pointerover', { bubbles: true, pointerId: 1 }));
-            element.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, pointerId: 1 }));
-            element.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-            element.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
-            element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
-            element.dispatchEvent(new PointerEvent('pointerup', { bubbles: true, pointerId: 1 }));
+
+      const outcome = result.value;
+      if (outcome.error) {
+        const error = new Error(outcome.error);
+        error.available = outcome.available;
+        throw error;
+      }
+
+      return {
+        success: true,
+        selector,
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        multiple: outcome.multiple,
+        selected: outcome.selected,
+      };
+    });
+  }
+
+  /**
+   * Check or uncheck a checkbox, radio button, or element with role
+   * checkbox/switch/radio. The element is clicked so page handlers run.
+   */
+  async setChecked(tabId, selectorOrHint, checked = true, options = {}) {
+    return this.withTab(tabId, async (client) => {
+      const { selector, discoveryInfo, scope } =
+        await this.resolveTarget(client, selectorOrHint, { ...options, action: 'check' }, 'checkbox');
+      await this.validateSelector(selector);
+
+      // Styled checkboxes often hide the input itself, so only require it to exist
+      await this.waitForElement(client, selector, options.timeout, { visible: false, scope });
+
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector, desired) => {
+          const element = deepQuerySelector(targetSelector);
+          if (!element) return { error: `Element '${targetSelector}' not found` };
+
+          const isInput = element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio');
+          const role = element.getAttribute('role');
+          if (!isInput && !['checkbox', 'switch', 'radio'].includes(role)) {
+            return { error: `Element '${targetSelector}' is not a checkbox or radio button` };
+          }
+
+          const kind = isInput ? element.type : role;
+          const read = () => (isInput ? element.checked : element.getAttribute('aria-checked') === 'true');
+          if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+            return { error: `Element '${targetSelector}' is disabled` };
+          }
+
+          const before = read();
+          if (before === desired) {
+            return { kind, checked: before, changed: false };
+          }
+          if (kind === 'radio' && !desired) {
+            return { error: 'A radio button cannot be unchecked directly; check another option in its group instead' };
           }
-        `
+
+          element.click();
+          const after = read();
+          if (after !== desired) {
+            return { error: `Clicking '${targetSelector}' did not change its checked state (the page may prevent it)` };
+          }
+          return { kind, checked: after, changed: true };
+        }, selector, checked),
+        returnByValue: true,
       });
-      
+
+      if (exceptionDetails) {
+        throw new Error(`Could not set the checked state of '${selector}': ${exceptionMessage(exceptionDetails)}`);
+      }
+
+      const outcome = result.value;
+      if (outcome.error) {
+        throw new Error(outcome.error);
+      }
+
+      return {
+        success: true,
+        selector,
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        kind: outcome.kind,
+        checked: outcome.checked,
+        changed: outcome.changed,
+      };
+    });
+  }
+
+  /**
+   * Set the files of an <input type="file"> with DOM.setFileInputFiles.
+   * Paths are local to the machine running Chrome.
+   */
+  async uploadFile(tabId, selectorOrHint, files, options = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('Provide at least one file path');
+    }
+
+    const resolved = [];
+    for (const file of files) {
+      const filePath = path.resolve(file);
+      let stats;
+      try {
+        stats = await fs.stat(filePath);
+      } catch {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      if (!stats.isFile()) {
+        throw new Error(`Not a file: ${filePath}`);
+      }
+      resolved.push({ path: filePath, name: path.basename(filePath), size: stats.size });
+    }
+
+    return this.withTab(tabId, async (client) => {
+      const { selector, discoveryInfo, scope } =
+        await this.resolveTarget(client, selectorOrHint, { ...options, action: 'upload' }, 'file');
+      await this.validateSelector(selector);
+
+      // File inputs are usually hidden behind a styled button, so only require them to exist
+      await this.waitForElement(client, selector, options.timeout, { visible: false, scope });
+
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector) => {
+          const element = deepQuerySelector(targetSelector);
+          if (!element) return { error: `Element '${targetSelector}' not found` };
+          if (element.tagName !== 'INPUT' || element.type !== 'file') {
+            return { error: `Element '${targetSelector}' is not an <input type="file">` };
+          }
+          if (element.disabled) return { error: `File input '${targetSelector}' is disabled` };
+          return { multiple: element.multiple, accept: element.accept || null };
+        }, selector),
+        returnByValue: true,
+      });
+
+      if (exceptionDetails) {
+        throw new Error(`Could not inspect file input '${selector}': ${exceptionMessage(exceptionDetails)}`);
+      }
+
+      const input = result.value;
+      if (input.error) {
+        throw new Error(input.error);
+      }
+      if (resolved.length > 1 && !input.multiple) {
+        throw new Error(`File input '${selector}' accepts a single file`);
+      }
+
+      const objectId = await this.queryElementObject(client, selector, scope);
+      if (!objectId) {
+        throw new Error(`Element '${selector}' not found`);
+      }
+
+      // Fires input and change events on the element like a user selection would
+      try {
+        await client.DOM.setFileInputFiles({ objectId, files: resolved.map(file => file.path) }, scope ? scope.sessionId : undefined);
+      } finally {
+        await this.releaseObject(client, objectId, scope);
+      }
+
       return {
         success: true,
         selector,
-        originalHint: selectorOrHint !== selector ? selectorOrHint : undefined,
-        discovery: discoveryInfo ? discoveryInfo.description : undefined,
-        coordinates: coordResult.coordinates || { x: null, y: null },
-        method: `JavaScript_fallback_from_${coordResult.method}`
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        accept: input.accept,
+        files: resolved,
       };
     });
   }
@@ -941,151 +2618,462 @@ export class ChromeController {
     }
     
     return this.withTab(tabId, async (client) => {
-      let selector = selectorOrHint;
-      let discoveryInfo = null;
+      // Use smart discovery for input fields
+      const { selector, discoveryInfo, scope, coordResult } =
+        await this.locateElement(client, selectorOrHint, { ...options, action: 'type' }, 'input');
       
-      // Try smart discovery if not a clear CSS selector
-      const looksLikeSelector = selectorOrHint && (
-        selectorOrHint.startsWith('.') || 
-        selectorOrHint.startsWith('#') || 
-        selectorOrHint.includes('[') ||
-        selectorOrHint.includes('>') ||
-        selectorOrHint.includes(' .')
-      );
+      const { value: typed, effects } = await this.observeEffects(client, scope, { window: options.effectsWindow }, async () => {
+        // Try Input API first if coordinates are valid, fallback to JavaScript simulation
+        if (coordResult.success && coordResult.coordinates && client.Input && client.Input.dispatchMouseEvent && client.Input.insertText) {
+          try {
+            const { x, y } = coordResult.coordinates;
+            
+            // Focus the element first by clicking it
+            await client.Input.dispatchMouseEvent({
+              type: 'mousePressed',
+              x: x,
+              y: y,
+              button: 'left',
+              clickCount: 1
+            });
+            
+            await client.Input.dispatchMouseEvent({
+              type: 'mouseReleased',
+              x: x,
+              y: y,
+              button: 'left',
+              clickCount: 1
+            });
+            
+            // Clear existing content if specified
+            if (options.clear !== false) {
+              await this.evaluateInScope(client, scope, {
+                expression: pageFunctionCall((targetSelector) => {
+                  const element = deepQuerySelector(targetSelector);
+                  if (element) {
+                    element.value = '';
+                    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+                  }
+                }, selector)
+              });
+            }
+            
+            // Type the text using Input API; per-key events when a delay is requested
+            if (options.delay !== undefined && options.delay !== null) {
+              await this.typeCharacters(client, text, options.delay);
+            } else {
+              await client.Input.insertText({ text });
+            }
+            
+            return {
+              coordinates: coordResult.coordinates,
+              method: `CDP_Input_API_via_${coordResult.method}`
+            };
+            
+          } catch (error) {
+            // Fall through to JavaScript fallback
+          }
+        }
+        
+        // Fallback: Use JavaScript to simulate typing
+        const fallback = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector, value, clear) => {
+            const element = deepQuerySelector(targetSelector);
+            if (element) {
+              element.focus();
+              element.scrollIntoView({ behavior: 'instant', block: 'center' });
+              if (clear) element.value = '';
+              element.value = value;
+              
+              // Trigger comprehensive events for modern web apps
+              element.dispatchEvent(new Event('focus', { bubbles: true, composed: true }));
+              element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+              element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+              element.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true, composed: true }));
+            }
+            return Boolean(element);
+          }, selector, text, options.clear !== false),
+          returnByValue: true
+        });
+        if (!fallback.result.value) {
+          throw new Error(`Element '${selector}' is no longer in the page`);
+        }
+        
+        // Trigger change event
+        await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector) => {
+            const element = deepQuerySelector(targetSelector);
+            if (element) {
+              element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+              element.dispatchEvent(new Event('blur', { bubbles: true, composed: true }));
+            }
+          }, selector)
+        });
+        
+        return {
+          coordinates: coordResult.coordinates || { x: null, y: null },
+          method: `JavaScript_fallback_from_${coordResult.method || 'unknown'}`
+        };
+      });
+      
+      // Read the field back: masks, maxlength and page handlers can change or drop the text
+      // (not after a navigation, which can take the field with it: verified stays null)
+      let verified = null;
+      let actualValue = null;
+      if (!effects.dialog && !effects.navigation) {
+        try {
+          const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+            expression: pageFunctionCall(readFieldValue, selector),
+            returnByValue: true
+          });
+          const field = exceptionDetails ? undefined : result.value;
+          if (field !== undefined) {
+            verified = Boolean(field) && (options.clear !== false ? field.value === text : field.value.includes(text));
+          }
+          // Never echo password fields back
+          if (field && !field.password) {
+            actualValue = field.value.length > 100 ? field.value.substring(0, 100) + '...' : field.value;
+          }
+        } catch (error) {
+          // The context went away (e.g. "Cannot find context"); the value is unknown
+        }
+      }
       
-      if (!looksLikeSelector) {
-        // Use smart discovery for input fields
-        discoveryInfo = await this.discoverBestSelector(client, selectorOrHint, 'input');
-        if (discoveryInfo) {
-          selector = discoveryInfo.selector;
-          console.error(`Smart type: Using ${discoveryInfo.description}`);
-        } else {
-          // If discovery fails, try as literal selector
-          selector = selectorOrHint;
+      return {
+        success: true,
+        selector,
+        ...discoveryFields(selectorOrHint, selector, discoveryInfo, scope),
+        text: text.length > 100 ? text.substring(0, 100) + '...' : text,
+        verified,
+        actualValue,
+        coordinates: typed.coordinates,
+        method: typed.method,
+        effects
+      };
+    });
+  }
+
+  /**
+   * Press a key or chord ("Enter", "Shift+Tab", "Control+K"), optionally
+   * focusing an element first. Keys go to whatever element has focus.
+   */
+  async pressKey(tabId, key, options = {}) {
+    const { selector = null, ref = null, repeat = 1, delay = 0, timeout } = options;
+    const chord = parseKeyChord(key);
+
+    return this.withTab(tabId, async (client) => {
+      let target = selector;
+      let scope = null;
+      if (ref) {
+        ({ selector: target, scope } = await this.resolveRef(client, ref));
+      }
+
+      if (target) {
+        await this.validateSelector(target);
+        await this.waitForElement(client, target, timeout, { scope });
+        await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector) => {
+            const element = deepQuerySelector(targetSelector);
+            if (element) element.focus();
+          }, target),
+        });
+      }
+
+      for (let count = 0; count < repeat; count++) {
+        if (count > 0 && delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        await this.dispatchKeyChord(client, chord);
+      }
+
+      // Report focus from the document the target was found in, not the <iframe> holding it
+      const { result } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall(() => {
+          const element = document.activeElement;
+          if (!element || element === document.body) return null;
+          return {
+            tagName: element.tagName.toLowerCase(),
+            id: element.id || null,
+            name: element.getAttribute('name'),
+            type: element.getAttribute('type'),
+            text: (element.innerText || element.value || '').trim().substring(0, 80),
+          };
+        }),
+        returnByValue: true,
+      });
+
+      return {
+        success: true,
+        key,
+        modifiers: chord.modifiers.map(modifier => modifier.key),
+        repeat,
+        selector: target,
+        activeElement: result.value || null,
+      };
+    });
+  }
+
+  // Dispatch keydown/keyup for a parsed chord, holding its modifiers around the main key
+  async dispatchKeyChord(client, chord) {
+    let held = 0;
+    for (const modifier of chord.modifiers) {
+      held |= MODIFIER_BITS[modifier.key];
+      await client.Input.dispatchKeyEvent(keyEventParams('rawKeyDown', modifier, held));
+    }
+
+    const { key } = chord;
+    await client.Input.dispatchKeyEvent({
+      ...keyEventParams(key.text ? 'keyDown' : 'rawKeyDown', key, chord.mask),
+      text: key.text,
+      unmodifiedText: key.text,
+      commands: chord.commands,
+    });
+    await client.Input.dispatchKeyEvent(keyEventParams('keyUp', key, chord.mask));
+
+    for (const modifier of [...chord.modifiers].reverse()) {
+      held &= ~MODIFIER_BITS[modifier.key];
+      await client.Input.dispatchKeyEvent(keyEventParams('keyUp', modifier, held));
+    }
+  }
+
+  // Type text one character at a time with real key events; characters without a key are inserted as text
+  async typeCharacters(client, text, delay = 0) {
+    for (const char of text) {
+      const definition = keyDefinitionForChar(char);
+
+      if (definition) {
+        await this.dispatchKeyChord(client, parseKeyChord(definition.key));
+      } else {
+        await client.Input.insertText({ text: char });
+      }
+
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Scroll the page or a container with mouse wheel events. Exactly one of
+   * options.to (top, bottom, left, right), options.deltaX/deltaY (pixels) or
+   * options.selector/ref (scroll until the element is in view, inside its
+   * nearest scrollable ancestor) says where to. options.container picks the
+   * scrollable element instead of the page.
+   */
+  async scroll(tabId, options = {}) {
+    const { to, deltaX = 0, deltaY = 0, selector, ref, container, timeout } = options;
+
+    const modes = [Boolean(to), Boolean(selector || ref), Boolean(deltaX || deltaY)].filter(Boolean).length;
+    if (modes !== 1) {
+      throw new Error('Provide exactly one of to, delta_x/delta_y, or selector/ref');
+    }
+    if (to && !SCROLL_EDGES.includes(to)) {
+      throw new Error(`Invalid to '${to}'. Expected one of: ${SCROLL_EDGES.join(', ')}`);
+    }
+    if (container) {
+      await this.validateSelector(container);
+    }
+
+    return this.withTab(tabId, async (client) => {
+      let scope = await this.resolveFrame(client, options.frame);
+      let target = null;
+      let discoveryInfo = null;
+
+      if (selector || ref) {
+        ({ selector: target, discoveryInfo, scope } =
+          await this.resolveTarget(client, selector, { ref, frame: options.frame, action: 'scroll' }, null));
+        await this.validateSelector(target);
+        await this.waitForElement(client, target, timeout, { scope, visible: false });
+      }
+
+      const spec = { container, target };
+      const start = await this.readScrollState(client, scope, spec);
+      let state = start;
+      let method = 'none';
+
+      for (let step = 0; step < MAX_SCROLL_STEPS; step++) {
+        let delta;
+        if (to === 'top') delta = { x: 0, y: -state.y };
+        else if (to === 'bottom') delta = { x: 0, y: state.maxY - state.y };
+        else if (to === 'left') delta = { x: -state.x, y: 0 };
+        else if (to === 'right') delta = { x: state.maxX - state.x, y: 0 };
+        else if (target) delta = state.inView ? { x: 0, y: 0 } : state.offset;
+        else delta = step === 0 ? { x: deltaX, y: deltaY } : { x: 0, y: 0 };
+
+        if (delta.x === 0 && delta.y === 0) break;
+
+        const result = await this.wheelScroll(client, scope, spec, state, delta);
+        const moved = result.state.x !== state.x || result.state.y !== state.y;
+        state = result.state;
+        if (moved) method = result.method;
+        // Pixel deltas are applied once; edges and targets repeat for content that grows or shifts
+        if (!moved || (!to && !target)) break;
+      }
+
+      return {
+        success: true,
+        selector: target || undefined,
+        ...discoveryFields(selector, target, discoveryInfo, scope),
+        container: state.container,
+        position: { x: state.x, y: state.y },
+        maxScroll: { x: state.maxX, y: state.maxY },
+        scrolledBy: { x: state.x - start.x, y: state.y - start.y },
+        atTop: state.y <= 0,
+        atBottom: state.y >= state.maxY - 1,
+        inView: target ? state.inView : undefined,
+        method,
+      };
+    });
+  }
+
+  /**
+   * Keep scrolling a page or container until options.selector is visible,
+   * the options.itemSelector count (or, without one, the scroll size) stops
+   * growing at the end of the content, or options.maxScrolls is reached.
+   * Waits options.wait ms after each scroll for lazy-loaded content.
+   */
+  async scrollUntil(tabId, options = {}) {
+    const { selector, itemSelector, container, direction = 'down', step, maxScrolls = 20, wait = 500 } = options;
+
+    if (!SCROLL_DIRECTIONS[direction]) {
+      throw new Error(`Invalid direction '${direction}'. Expected one of: ${Object.keys(SCROLL_DIRECTIONS).join(', ')}`);
+    }
+    for (const value of [selector, itemSelector, container]) {
+      if (value) await this.validateSelector(value);
+    }
+
+    return this.withTab(tabId, async (client) => {
+      const scope = await this.resolveFrame(client, options.frame);
+      const spec = { container, items: itemSelector, until: selector };
+      const { x: unitX, y: unitY } = SCROLL_DIRECTIONS[direction];
+
+      const start = await this.readScrollState(client, scope, spec);
+      let state = start;
+      let scrolls = 0;
+      let stalls = 0;
+      let stopReason = 'max_scrolls';
+
+      while (true) {
+        if (selector && state.found) {
+          stopReason = 'found';
+          break;
         }
-      }
-      
-      // Validate and sanitize selector
-      await this.validateSelector(selector);
-      
-      // Wait for element to be present and visible
-      await this.waitForElement(client, selector, options.timeout);
-      
-      // Get coordinates using CDP DOM methods
-      const coordResult = await this.getElementCoordinates(client, selector, options);
-      
-      // Try Input API first if coordinates are valid, fallback to JavaScript simulation
-      if (coordResult.success && coordResult.coordinates && client.Input && client.Input.dispatchMouseEvent && client.Input.insertText) {
-        try {
-          const { x, y } = coordResult.coordinates;
-          
-          // Focus the element first by clicking it
-          await client.Input.dispatchMouseEvent({
-            type: 'mousePressed',
-            x: x,
-            y: y,
-            button: 'left',
-            clickCount: 1
-          });
-          
-          await client.Input.dispatchMouseEvent({
-            type: 'mouseReleased',
-            x: x,
-            y: y,
-            button: 'left',
-            clickCount: 1
-          });
-          
-          // Clear existing content if specified
-          if (options.clear !== false) {
-            await client.Runtime.evaluate({
-              expression: `
-                const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-                if (element) {
-                  element.value = '';
-                  element.dispatchEvent(new Event('input', { bubbles: true }));
-                }
-              `
-            });
-          }
-          
-          // Type the text using Input API
-          await client.Input.insertText({ text });
-          
-          return {
-            success: true,
-            selector,
-            originalHint: selectorOrHint !== selector ? selectorOrHint : undefined,
-            discovery: discoveryInfo ? discoveryInfo.description : undefined,
-            text: text.length > 100 ? text.substring(0, 100) + '...' : text,
-            coordinates: coordResult.coordinates,
-            method: `CDP_Input_API_via_${coordResult.method}`
-          };
-          
-        } catch (error) {
-          // Fall through to JavaScript fallback
+        if (scrolls >= maxScrolls) {
+          break;
+        }
+
+        const distance = step || Math.round((unitY ? state.height : state.width) * 0.8);
+        await this.wheelScroll(client, scope, spec, state, { x: unitX * distance, y: unitY * distance });
+        scrolls++;
+        await new Promise(resolve => setTimeout(resolve, wait));
+
+        // Moving, new items or a longer page all mean there may be more to load
+        const loaded = await this.readScrollState(client, scope, spec);
+        const progressed = loaded.x !== state.x || loaded.y !== state.y ||
+          loaded.maxX > state.maxX || loaded.maxY > state.maxY ||
+          (itemSelector && loaded.itemCount > state.itemCount);
+        stalls = progressed ? 0 : stalls + 1;
+        state = loaded;
+
+        if (stalls >= SCROLL_STALL_LIMIT) {
+          stopReason = itemSelector ? 'count_stable' : 'end_reached';
+          break;
         }
       }
-      
-      // Fallback: Use JavaScript to simulate typing
-      await client.Runtime.evaluate({
-        expression: `
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          if (element) {
-            element.focus();
-            element.scrollIntoView({ behavior: 'instant', block: 'center' });
-            ${options.clear !== false ? 'element.value = "";' : ''}
-            element.value = '${text.replace(/'/g, "\\'")}';
-            
-            // Trigger comprehensive events for modern web apps
-            element.dispatchEvent(new Event('focus', { bubbles: true }));
-            element.dispatchEvent(new Event('input', { bubbles: true }));
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-            element.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
-          }
-        `
-      });
-      
-      // Trigger change event
-      await client.Runtime.evaluate({
-        expression: `
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          if (element) {
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-            element.dispatchEvent(new Event('blur', { bubbles: true }));
-          }
-        `
-      });
-      
+
       return {
         success: true,
-        selector,
-        originalHint: selectorOrHint !== selector ? selectorOrHint : undefined,
-        discovery: discoveryInfo ? discoveryInfo.description : undefined,
-        text: text.length > 100 ? text.substring(0, 100) + '...' : text,
-        coordinates: coordResult.coordinates || { x: null, y: null },
-        method: `JavaScript_fallback_from_${coordResult.method || 'unknown'}`
+        frameUrl: scope ? scope.url : undefined,
+        stopReason,
+        found: selector ? state.found : undefined,
+        scrolls,
+        itemCount: itemSelector ? state.itemCount : undefined,
+        initialItemCount: itemSelector ? start.itemCount : undefined,
+        container: state.container,
+        position: { x: state.x, y: state.y },
+        maxScroll: { x: state.maxX, y: state.maxY },
       };
     });
   }
 
+  // Scroll state from the page (see scrollState)
+  async readScrollState(client, scope, spec) {
+    const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+      expression: pageFunctionCall(scrollState, spec),
+      returnByValue: true
+    });
+    if (exceptionDetails) {
+      throw new Error(exceptionMessage(exceptionDetails).replace(/^Error: /, ''));
+    }
+    return result.value;
+  }
+
+  /**
+   * Send one mouse wheel event at the container and wait for the scroll to
+   * settle. Falls back to scrollBy when the wheel moves nothing, e.g. when an
+   * overlay covers the container or it is off screen.
+   */
+  async wheelScroll(client, scope, spec, before, delta) {
+    const offset = scope ? scope.offset : { x: 0, y: 0 };
+
+    if (before.point) {
+      await client.Input.dispatchMouseEvent({
+        type: 'mouseWheel',
+        x: before.point.x + offset.x,
+        y: before.point.y + offset.y,
+        deltaX: delta.x,
+        deltaY: delta.y,
+      });
+      const state = await this.waitForScrollSettle(client, scope, spec, before);
+      if (state.x !== before.x || state.y !== before.y) {
+        return { state, method: 'mouseWheel' };
+      }
+    }
+
+    await this.evaluateInScope(client, scope, {
+      expression: pageFunctionCall(scrollContainerBy, spec, delta.x, delta.y),
+      returnByValue: true
+    });
+    return { state: await this.readScrollState(client, scope, spec), method: 'scrollBy' };
+  }
+
+  // Poll until the position stops changing (wheel scrolling may animate)
+  async waitForScrollSettle(client, scope, spec, before) {
+    const started = Date.now();
+    let previous = before;
+
+    while (Date.now() - started < SCROLL_SETTLE_TIMEOUT) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const state = await this.readScrollState(client, scope, spec);
+      const moved = state.x !== before.x || state.y !== before.y;
+      const still = state.x === previous.x && state.y === previous.y;
+      // Give the wheel a moment to start before taking "still" for "done"
+      if (still && (moved || Date.now() - started >= 250)) {
+        return state;
+      }
+      previous = state;
+    }
+    return previous;
+  }
+
   async getElementText(tabId, selector, options = {}) {
     await this.validateSelector(selector);
     
     return this.withTab(tabId, async (client) => {
-      await this.waitForElement(client, selector, options.timeout);
+      const scope = await this.resolveFrame(client, options.frame);
+      await this.waitForElement(client, selector, options.timeout, { scope });
       
-      const result = await client.Runtime.evaluate({
-        expression: `
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          element ? {
+      const result = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector) => {
+          const element = deepQuerySelector(targetSelector);
+          return element ? {
             text: element.textContent?.trim() || '',
             innerText: element.innerText?.trim() || '',
             value: element.value || '',
             tagName: element.tagName.toLowerCase(),
             attributes: Object.fromEntries([...element.attributes].map(attr => [attr.name, attr.value]))
-          } : null
-        `,
+          } : null;
+        }, selector),
         returnByValue: true
       });
       
@@ -1096,11 +3084,206 @@ export class ChromeController {
       return {
         success: true,
         selector,
+        frameUrl: scope ? scope.url : undefined,
         element: result.result.value
       };
     });
   }
 
+  /**
+   * Describe every element a selector matches (see describeElements), with
+   * bounds in page viewport coordinates. options.timeout waits up to that
+   * long for a first match; finding none is not an error.
+   */
+  async queryElements(tabId, selector, options = {}) {
+    const { limit = 50, visibleOnly = false, timeout = 0 } = options;
+    await this.validateSelector(selector);
+
+    return this.withTab(tabId, async (client) => {
+      const scope = await this.resolveFrame(client, options.frame);
+
+      if (timeout > 0) {
+        try {
+          await this.waitForElement(client, selector, timeout, { scope, visible: visibleOnly });
+        } catch (error) {
+          // Report no matches below
+        }
+      }
+
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall(describeElements, selector, limit, visibleOnly),
+        returnByValue: true
+      });
+      if (exceptionDetails) {
+        throw new Error(`Invalid selector '${selector}': ${exceptionMessage(exceptionDetails)}`);
+      }
+
+      const offset = scope ? scope.offset : { x: 0, y: 0 };
+      const { total, elements } = result.value;
+      return {
+        success: true,
+        selector,
+        frameUrl: scope ? scope.url : undefined,
+        total,
+        elements: elements.map(element => ({
+          ...element,
+          bounds: { ...element.bounds, x: element.bounds.x + offset.x, y: element.bounds.y + offset.y },
+        })),
+      };
+    });
+  }
+
+  /**
+   * Extract one record per row (see extractRecords). options.fields maps
+   * field names to a sub-selector or { selector, attribute, multiple }. With
+   * options.nextSelector, clicks it after each page and waits for the rows
+   * to change, until maxPages pages or limit records have been read. When
+   * the click appends rows ("load more") rather than replacing them, only
+   * the new rows are read.
+   */
+  async extractData(tabId, rowSelector, options = {}) {
+    const { limit = 100, maxPages = 1, nextSelector = null, timeout = 5000, frame } = options;
+    const fields = normalizeExtractFields(options.fields);
+
+    await this.validateSelector(rowSelector);
+    for (const field of fields || []) {
+      if (field.selector) this.parseSelector(field.selector);
+    }
+    if (nextSelector) {
+      await this.validateSelector(nextSelector);
+    }
+
+    const records = [];
+    let pages = 0;
+    let last = null;
+    // Rows at the start of the current page that earlier pages already read
+    let skip = 0;
+    let stopReason;
+
+    while (true) {
+      last = await this.withTab(tabId, async (client) => {
+        const scope = await this.resolveFrame(client, frame);
+        try {
+          await this.waitForElement(client, rowSelector, timeout, { scope, visible: false });
+        } catch (error) {
+          // A page without rows yields no records
+        }
+
+        const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall(extractRecords, rowSelector, fields, limit - records.length, skip),
+          returnByValue: true
+        });
+        if (exceptionDetails) {
+          throw new Error(`Extraction failed for '${rowSelector}': ${exceptionMessage(exceptionDetails)}`);
+        }
+        return { ...result.value, frameUrl: scope ? scope.url : undefined };
+      });
+
+      pages++;
+      records.push(...last.records);
+
+      if (!nextSelector) break;
+      if (records.length >= limit) {
+        stopReason = 'limit';
+        break;
+      }
+      if (pages >= maxPages) {
+        stopReason = 'max_pages';
+        break;
+      }
+
+      const before = await this.readRowsSignature(tabId, rowSelector, frame);
+      if (!(await this.clickNextPage(tabId, nextSelector, { frame, timeout }))) {
+        stopReason = 'no_next_page';
+        break;
+      }
+      const after = await this.waitForRowsChange(tabId, rowSelector, frame, before, timeout);
+      if (!after) {
+        stopReason = 'page_unchanged';
+        break;
+      }
+      skip = rowsAppended(before, after) ? last.total : 0;
+    }
+
+    return {
+      success: true,
+      rowSelector,
+      frameUrl: last.frameUrl,
+      pages,
+      stopReason,
+      truncated: last.total > skip + last.records.length,
+      records,
+    };
+  }
+
+  // Click the next-page control; false when it is missing, hidden or disabled
+  async clickNextPage(tabId, nextSelector, options = {}) {
+    const target = await this.withTab(tabId, async (client) => {
+      const { selector, scope } = await this.resolveTarget(client, nextSelector, { frame: options.frame, action: 'next page' }, 'link');
+
+      const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+        expression: pageFunctionCall((targetSelector) => {
+          const element = deepQuerySelector(targetSelector);
+          if (!element) return false;
+
+          const rect = element.getBoundingClientRect();
+          const style = window.getComputedStyle(element);
+          const visible = rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+          // Pagination widgets often mark the last page's "next" with a class instead of disabling it
+          return visible && !element.disabled && !element.closest('[aria-disabled="true"], .disabled');
+        }, selector),
+        returnByValue: true
+      });
+      if (exceptionDetails) {
+        throw new Error(`Invalid next selector '${nextSelector}': ${exceptionMessage(exceptionDetails)}`);
+      }
+      return result.value ? selector : null;
+    });
+
+    if (!target) {
+      return false;
+    }
+    // waitForRowsChange watches for the outcome
+    await this.clickElement(tabId, target, { ...options, effectsWindow: 0 });
+    return true;
+  }
+
+  // URL, row count and text of the first rows, or null while the page cannot be read (e.g. mid-navigation)
+  async readRowsSignature(tabId, rowSelector, frame) {
+    try {
+      return await this.withTab(tabId, async (client) => {
+        const scope = await this.resolveFrame(client, frame);
+        const { result } = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector) => {
+            const rows = deepQuerySelectorAll(targetSelector);
+            return {
+              url: location.href,
+              count: rows.length,
+              head: rows.slice(0, 5).map(row => row.textContent.trim().slice(0, 200)),
+            };
+          }, rowSelector),
+          returnByValue: true
+        });
+        return result.value && typeof result.value === 'object' ? result.value : null;
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Wait until rows are present and differ from the `before` signature; the new signature, or null on timeout
+  async waitForRowsChange(tabId, rowSelector, frame, before, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, PAGINATION_POLL_INTERVAL));
+      const signature = await this.readRowsSignature(tabId, rowSelector, frame);
+      if (signature && signature.count > 0 && !sameRowsSignature(signature, before)) {
+        return signature;
+      }
+    }
+    return null;
+  }
+
   // Public method to analyze form structure
   async analyzeForm(tabId, formSelector = 'form') {
     return this.withTab(tabId, async (client) => {
@@ -1116,40 +3299,7 @@ export class ChromeController {
   async analyzeFormInternal(client, formSelector = 'form') {
     try {
       const result = await client.Runtime.evaluate({
-        expression: `
-          (() => {
-            const form = document.querySelector('${formSelector.replace(/'/g, "\\'")}');
-            if (!form) return null;
-            
-            const elements = [];
-            const inputs = form.querySelectorAll('input, button, textarea, select');
-            
-            inputs.forEach(el => {
-              const rect = el.getBoundingClientRect();
-              const visible = rect.width > 0 && rect.height > 0;
-              
-              elements.push({
-                tagName: el.tagName.toLowerCase(),
-                type: el.type || '',
-                name: el.name || '',
-                id: el.id || '',
-                className: el.className || '',
-                value: el.value || '',
-                placeholder: el.placeholder || '',
-                textContent: el.textContent?.trim() || '',
-                ariaLabel: el.getAttribute('aria-label') || '',
-                visible
-              });
-            });
-            
-            return {
-              formId: form.id || '',
-              formClass: form.className || '',
-              formAction: form.action || '',
-              elements
-            };
-          })()
-        `,
+        expression: pageFunctionCall(analyzeFormElements, formSelector),
         returnByValue: true
       });
       
@@ -1159,23 +3309,128 @@ export class ChromeController {
     }
   }
   
+  /**
+   * Fill several form fields in one call. `fields` maps a field identifier
+   * (name, id, label text, placeholder or smart hint) to its value. Fields
+   * that cannot be matched inside the form fall back to smart discovery.
+   */
+  async fillForm(tabId, fields, options = {}) {
+    const { formSelector = null, submit = false } = options;
+    const entries = Object.entries(fields || {});
+    if (entries.length === 0) {
+      throw new Error('Provide at least one field to fill');
+    }
+    if (formSelector) {
+      await this.validateSelector(formSelector);
+    }
+
+    return this.withTab(tabId, async (client) => {
+      const fill = async (list) => {
+        const { result, exceptionDetails } = await client.Runtime.evaluate({
+          expression: pageFunctionCall(fillFormFields, formSelector, list),
+          returnByValue: true,
+        });
+        if (exceptionDetails) {
+          throw new Error(`Invalid selector '${formSelector}': ${exceptionMessage(exceptionDetails)}`);
+        }
+        if (result.value.error) {
+          throw new Error(result.value.error);
+        }
+        return result.value.results;
+      };
+
+      const results = await fill(entries.map(([field, value]) => ({ field, value })));
+
+      // Hints that match no name, id, label or placeholder go through smart discovery
+      const retries = [];
+      for (const [index, report] of results.entries()) {
+        if (report.status !== 'not_found') continue;
+        const discovered = await this.discoverBestSelector(client, report.field, 'input');
+        if (discovered) {
+          retries.push({ index, field: report.field, value: entries[index][1], selector: discovered.selector });
+        }
+      }
+      if (retries.length > 0) {
+        const retried = await fill(retries);
+        retries.forEach((retry, position) => { results[retry.index] = retried[position]; });
+      }
+
+      const filledSelectors = results
+        .filter(report => report.status === 'filled' && report.selector)
+        .map(report => report.selector);
+
+      let submission = null;
+      if (submit) {
+        const { result, exceptionDetails } = await client.Runtime.evaluate({
+          expression: pageFunctionCall(submitForm, formSelector, filledSelectors[0]),
+          returnByValue: true,
+        });
+        if (exceptionDetails) {
+          throw new Error(`Could not submit form '${formSelector || 'form'}': ${exceptionMessage(exceptionDetails)}`);
+        }
+        submission = result.value;
+        if (submission.submitted) {
+          // Give client-side validation and navigation a moment to start
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+      }
+
+      let validation = null;
+      let validationError = null;
+      try {
+        const { result, exceptionDetails } = await client.Runtime.evaluate({
+          expression: pageFunctionCall(collectValidationMessages, formSelector, filledSelectors),
+          returnByValue: true,
+        });
+        validationError = exceptionDetails || null;
+        validation = exceptionDetails ? null : result.value;
+      } catch (error) {
+        // The page navigated away after submitting
+      }
+      if (validationError) {
+        throw new Error(`Could not read validation messages for '${formSelector || 'form'}': ${exceptionMessage(validationError)}`);
+      }
+
+      if (validation) {
+        results.forEach(report => {
+          if (validation.messages[report.selector]) {
+            report.validationMessage = validation.messages[report.selector];
+          }
+        });
+      }
+
+      return {
+        success: true,
+        formSelector,
+        fields: results,
+        submitted: submission ? submission.submitted : false,
+        submitMethod: submission ? submission.method : undefined,
+        submitError: submission && !submission.submitted ? submission.reason : undefined,
+        invalidFields: validation ? validation.invalid : undefined,
+      };
+    });
+  }
+
   async elementExists(tabId, selector, options = {}) {
     await this.validateSelector(selector);
     
     return this.withTab(tabId, async (client) => {
+      const scope = await this.resolveFrame(client, options.frame);
+      
       try {
-        const elementInfo = await this.waitForElement(client, selector, options.timeout || 1000);
+        const elementInfo = await this.waitForElement(client, selector, options.timeout || 1000, { scope });
         return {
           success: true,
           exists: true,
           visible: elementInfo.visible,
-          selector
+          selector,
+          frameUrl: scope ? scope.url : undefined
         };
       } catch (error) {
         // Check if element exists but is not visible
-        const result = await client.Runtime.evaluate({
-          expression: `
-            const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
+        const result = await this.evaluateInScope(client, scope, {
+          expression: pageFunctionCall((targetSelector) => {
+            const element = deepQuerySelector(targetSelector);
             if (!element) {
               return { exists: false };
             }
@@ -1198,7 +3453,7 @@ export class ChromeController {
               visibility: style.visibility,
               opacity: style.opacity
             };
-          `,
+          }, selector),
           returnByValue: true
         });
         
@@ -1216,6 +3471,7 @@ export class ChromeController {
           exists: elementInfo.exists,
           visible: elementInfo.visible || false,
           selector,
+          frameUrl: scope ? scope.url : undefined,
           styles: elementInfo.exists ? {
             display: elementInfo.display,
             visibility: elementInfo.visibility,
@@ -1225,4 +3481,295 @@ export class ChromeController {
       }
     });
   }
+
+  /**
+   * Wait until any of the conditions holds and report which one did:
+   * - selector in state (attached, detached, visible, hidden or enabled)
+   * - text shown by a visible element (as in text= selectors)
+   * - url of the tab matching a substring, `*` glob or /regex/
+   * - predicate, a JavaScript expression or function, returning truthy
+   * - networkIdle: no requests in flight for idleTime ms (requests started
+   *   before the wait are not seen)
+   * Selector, text and predicate are checked in options.frame when given.
+   */
+  async waitFor(tabId, conditions = {}, options = {}) {
+    const { selector, state = 'visible', text, url, predicate, networkIdle = false, idleTime = 500 } = conditions;
+    const { timeout = 10000 } = options;
+
+    if (!selector && !text && !url && !predicate && !networkIdle) {
+      throw new Error('Provide at least one condition: selector, text, url, function or network_idle');
+    }
+    if (selector) {
+      await this.validateSelector(selector);
+      if (!WAIT_STATES.includes(state)) {
+        throw new Error(`Invalid state '${state}'. Expected one of: ${WAIT_STATES.join(', ')}`);
+      }
+    }
+    if (text) {
+      try {
+        textMatcher(text);
+      } catch (error) {
+        throw new Error(`Invalid text '${text}': ${error.message}`);
+      }
+    }
+    const urlMatches = url ? createUrlMatcher(url) : null;
+
+    // What is still pending, for the timeout message
+    const pending = [
+      selector && `'${selector}' to be ${state}`,
+      text && `text ${text}`,
+      url && `URL matching '${url}'`,
+      predicate && 'function to return truthy',
+      networkIdle && `network idle for ${idleTime}ms`,
+    ].filter(Boolean);
+
+    return this.withTab(tabId, async (client) => {
+      let scope = await this.resolveFrame(client, options.frame);
+      const network = networkIdle ? trackNetworkActivity(client) : null;
+      const started = Date.now();
+      let lastError = null;
+
+      const met = (condition, extra = {}) => ({
+        success: true,
+        condition,
+        elapsed: Date.now() - started,
+        frameUrl: scope ? scope.url : undefined,
+        ...extra,
+      });
+
+      try {
+        while (true) {
+          if (network && network.idleFor() >= idleTime) {
+            return met('network_idle');
+          }
+
+          if (urlMatches) {
+            const history = await client.Page.getNavigationHistory();
+            const entry = history.entries[history.currentIndex];
+            if (entry && urlMatches(entry.url)) {
+              return met('url', { url: entry.url });
+            }
+          }
+
+          try {
+            if (selector || text) {
+              const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+                expression: pageFunctionCall(waitConditionState, { selector, state, text }),
+                returnByValue: true
+              });
+              if (exceptionDetails) {
+                throw new Error(exceptionMessage(exceptionDetails));
+              }
+              if (result.value.selector) return met('selector', { selector, state });
+              if (result.value.text) return met('text', { text });
+            }
+
+            if (predicate) {
+              const { result, exceptionDetails } = await this.evaluateInScope(client, scope, {
+                expression: `(async () => { const value = (${predicate}); return typeof value === 'function' ? await value() : await value; })()`,
+                returnByValue: true,
+                awaitPromise: true
+              });
+              if (exceptionDetails) {
+                throw new Error(`function threw: ${exceptionMessage(exceptionDetails)}`);
+              }
+              if (result.value) return met('function', { value: result.value });
+            }
+            lastError = null;
+          } catch (error) {
+            // The page or frame may be navigating; look the frame up again next round
+            lastError = error;
+            if (scope) {
+              scope = await this.resolveFrame(client, options.frame).catch(() => scope);
+            }
+          }
+
+          if (Date.now() - started >= timeout) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${pending.join(' or ')}` +
+              (lastError ? ` (last error: ${lastError.message})` : ''));
+          }
+          await new Promise(resolve => setTimeout(resolve, WAIT_POLL_INTERVAL));
+        }
+      } finally {
+        if (network) network.stop();
+      }
+    });
+  }
+}
+
+/**
+ * Count a session's requests in flight from now on. idleFor() is how long
+ * none have been in flight (0 while some are); streams that stay open
+ * (EventSource, WebSocket) are ignored.
+ */
+function trackNetworkActivity(client) {
+  const inflight = new Set();
+  let idleSince = Date.now();
+
+  const listeners = {
+    'Network.requestWillBeSent': ({ requestId, type, redirectResponse }) => {
+      if (LONG_LIVED_REQUEST_TYPES.includes(type) || redirectResponse) return;
+      inflight.add(requestId);
+    },
+    'Network.loadingFinished': ({ requestId }) => {
+      if (inflight.delete(requestId) && inflight.size === 0) idleSince = Date.now();
+    },
+    'Network.loadingFailed': ({ requestId }) => {
+      if (inflight.delete(requestId) && inflight.size === 0) idleSince = Date.now();
+    },
+  };
+  for (const [event, handler] of Object.entries(listeners)) {
+    client.on(event, handler);
+  }
+
+  return {
+    idleFor: () => (inflight.size === 0 ? Date.now() - idleSince : 0),
+    stop: () => {
+      for (const [event, handler] of Object.entries(listeners)) {
+        client.removeListener(event, handler);
+      }
+    },
+  };
+}
+
+// Message of a Runtime.evaluate exception, without the stack trace
+function exceptionMessage(exceptionDetails) {
+  return exceptionDetails.exception && exceptionDetails.exception.description
+    ? exceptionDetails.exception.description.split('\n')[0]
+    : exceptionDetails.text;
+}
+
+// extract_data fields as [{ name, selector, attribute, multiple }], or null to read rows as a whole
+function normalizeExtractFields(fields) {
+  if (fields === undefined || fields === null) {
+    return null;
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error('fields must map field names to a selector or { selector, attribute, multiple }');
+  }
+
+  return Object.entries(fields).map(([name, spec]) => {
+    const field = typeof spec === 'string' ? { selector: spec } : spec;
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      throw new Error(`Field '${name}' must be a selector or { selector, attribute, multiple }`);
+    }
+    return {
+      name,
+      selector: field.selector || null,
+      attribute: field.attribute || null,
+      multiple: Boolean(field.multiple),
+    };
+  });
+}
+
+// Whether two readRowsSignature results describe the same rows
+function sameRowsSignature(a, b) {
+  return Boolean(a && b) && a.url === b.url && a.count === b.count && a.head.join('\n') === b.head.join('\n');
+}
+
+// "Load more" pagination keeps the rows already shown and adds more after them
+function rowsAppended(before, after) {
+  return Boolean(before) && before.count > 0 && after.count > before.count &&
+    before.head.every((text, index) => after.head[index] === text);
+}
+
+// Frame by index (number or digits), exact name, URL glob ("*" wildcards) or URL substring
+function findFrame(frames, frame) {
+  const spec = String(frame).trim();
+  if (/^\d+$/.test(spec)) {
+    return frames[Number(spec)] || null;
+  }
+
+  const byName = frames.find(candidate => candidate.name === spec);
+  if (byName) return byName;
+
+  if (spec.includes('*')) {
+    const escaped = spec.split('*').map(part => part.replace(/[.+?^$(){}|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`^${escaped.join('.*')}$`);
+    return frames.find(candidate => pattern.test(candidate.url)) || null;
+  }
+  return frames.find(candidate => candidate.url.includes(spec)) || null;
+}
+
+function formatAXStates(properties) {
+  const values = Object.fromEntries(properties.map(property => [property.name, property.value && property.value.value]));
+
+  return AX_STATE_PROPERTIES
+    .filter(name => values[name] !== undefined && values[name] !== false && values[name] !== 'false')
+    .map(name => (values[name] === true || values[name] === 'true' ? name : `${name}=${values[name]}`))
+    .join(' ');
+}
+
+function truncateSnapshotText(text, maxLength = 120) {
+  const singleLine = text.replace(/\s+/g, ' ').replace(/"/g, '\\"');
+  return singleLine.length > maxLength ? singleLine.substring(0, maxLength) + '...' : singleLine;
+}
+
+// Inline images are sent base64-encoded: 4 characters for every 3 bytes
+function base64Length(buffer) {
+  return Math.ceil(buffer.length / 3) * 4;
+}
+
+// How a tool result names what it acted on when the target was discovered from a hint or is in a frame
+function discoveryFields(selectorOrHint, selector, discoveryInfo, scope) {
+  return {
+    originalHint: selectorOrHint && selectorOrHint !== selector ? selectorOrHint : undefined,
+    discovery: discoveryInfo ? discoveryInfo.description : undefined,
+    alternatives: discoveryInfo && discoveryInfo.alternatives.length > 0 ? discoveryInfo.alternatives : undefined,
+    frameUrl: scope ? scope.url : undefined,
+  };
+}
+
+// DOM box models are in the page viewport already, except in an out-of-process frame's own session
+function boxModelOffset(scope) {
+  return scope && scope.sessionId ? scope.offset : { x: 0, y: 0 };
+}
+
+// Axis-aligned bounds of a CDP quad [x1, y1, x2, y2, x3, y3, x4, y4]
+function quadToBounds(quad) {
+  const xs = [quad[0], quad[2], quad[4], quad[6]];
+  const ys = [quad[1], quad[3], quad[5], quad[7]];
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+  };
+}
+
+// Convert a PDF length (number of inches or "<number><unit>") to inches
+function parsePdfLength(value, name) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(in|cm|mm|px)?$/i);
+  if (!match) {
+    throw new Error(`Invalid ${name} '${value}'. Use a number of inches or a length like "1cm", "10mm", "0.5in" or "48px"`);
+  }
+  return Number(match[1]) * PDF_LENGTH_UNITS[(match[2] || 'in').toLowerCase()];
+}
+
+// Chrome writes one "/Type /Page" object per page; "/Type /Pages" is the page tree
+function countPdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  const pages = text.match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+  if (pages) return pages.length;
+
+  const count = text.match(/\/Type\s*\/Pages[^>]*?\/Count\s+(\d+)/);
+  return count ? Number(count[1]) : null;
+}
+
+function keyEventParams(type, definition, modifiers) {
+  return {
+    type,
+    modifiers,
+    key: definition.key,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    nativeVirtualKeyCode: definition.keyCode,
+    location: definition.location,
+  };
 }
\ No newline at end of file
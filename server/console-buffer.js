@@ -0,0 +1,184 @@
+/**
+ * Per-tab buffer of console messages, uncaught exceptions and browser log
+ * entries collected from Runtime.consoleAPICalled, Runtime.exceptionThrown
+ * and Log.entryAdded.
+ *
+ * Every entry gets an increasing sequence number so callers can poll with a
+ * `since` cursor and only receive messages logged after their last read.
+ * The buffer outlives individual CDP sessions and is re-attached whenever a
+ * new session is opened for the tab; messages the new session replays are
+ * skipped when they are no newer than the last buffered one.
+ */
+
+export const CONSOLE_LEVELS = ['debug', 'log', 'info', 'warning', 'error'];
+
+const DEFAULT_MAX_SIZE = 1000;
+
+// Runtime.consoleAPICalled types that map to a level other than 'log'
+const CONSOLE_TYPE_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  warning: 'warning',
+  error: 'error',
+  assert: 'error',
+};
+
+// Log.entryAdded levels
+const LOG_ENTRY_LEVELS = {
+  verbose: 'debug',
+  info: 'info',
+  warning: 'warning',
+  error: 'error',
+};
+
+export class ConsoleBuffer {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.entries = [];
+    this.seq = 0;
+    this.dropped = 0;
+    this.client = null;
+    // Time of the newest entry, and the cutoff for entries replayed by a re-attached session
+    this.lastTimestamp = 0;
+    this.replayCutoff = 0;
+
+    this.listeners = {
+      'Runtime.consoleAPICalled': params => this.onConsoleAPICalled(params),
+      'Runtime.exceptionThrown': params => this.onExceptionThrown(params),
+      'Log.entryAdded': params => this.onLogEntry(params),
+    };
+  }
+
+  attach(client) {
+    this.detach();
+    this.client = client;
+    // Runtime.enable and Log.enable replay the page's earlier messages, which are already buffered
+    this.replayCutoff = this.lastTimestamp;
+
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      client.on(event, handler);
+    }
+
+    if (client.Log && client.Log.enable) {
+      client.Log.enable().catch((error) => {
+        console.error('Warning: Could not enable Log domain:', error.message);
+      });
+    }
+  }
+
+  detach() {
+    if (!this.client) return;
+
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      this.client.removeListener(event, handler);
+    }
+    this.client = null;
+  }
+
+  onConsoleAPICalled({ type, args = [], timestamp, stackTrace }) {
+    const frame = stackTrace && stackTrace.callFrames[0];
+
+    this.push({
+      level: CONSOLE_TYPE_LEVELS[type] || 'log',
+      source: 'console',
+      type,
+      text: args.map(formatRemoteObject).join(' '),
+      url: frame ? frame.url : null,
+      line: frame ? frame.lineNumber + 1 : null,
+      column: frame ? frame.columnNumber + 1 : null,
+      timestamp,
+      stack: formatStackTrace(stackTrace),
+    });
+  }
+
+  onExceptionThrown({ timestamp, exceptionDetails }) {
+    const exception = exceptionDetails.exception;
+
+    this.push({
+      level: 'error',
+      source: 'exception',
+      type: 'uncaught',
+      text: (exception && exception.description) || exceptionDetails.text,
+      url: exceptionDetails.url || null,
+      line: exceptionDetails.lineNumber + 1,
+      column: exceptionDetails.columnNumber + 1,
+      timestamp,
+      stack: formatStackTrace(exceptionDetails.stackTrace),
+    });
+  }
+
+  onLogEntry({ entry }) {
+    this.push({
+      level: LOG_ENTRY_LEVELS[entry.level] || 'info',
+      source: entry.source,
+      type: entry.category || entry.source,
+      text: entry.text,
+      url: entry.url || null,
+      line: entry.lineNumber !== undefined ? entry.lineNumber + 1 : null,
+      column: null,
+      timestamp: entry.timestamp,
+      stack: formatStackTrace(entry.stackTrace),
+    });
+  }
+
+  push(entry) {
+    if (entry.timestamp && entry.timestamp <= this.replayCutoff) {
+      return;
+    }
+    this.lastTimestamp = Math.max(this.lastTimestamp, entry.timestamp || Date.now());
+
+    this.entries.push({
+      seq: ++this.seq,
+      ...entry,
+      timestamp: new Date(entry.timestamp || Date.now()).toISOString(),
+    });
+
+    if (this.entries.length > this.maxSize) {
+      this.entries.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Read buffered entries.
+   * - levels: only include these levels
+   * - since: only include entries with a sequence number greater than this cursor
+   * - limit: return at most this many of the oldest matching entries
+   */
+  query({ levels, since = 0, limit } = {}) {
+    const oldest = this.entries.length > 0 ? this.entries[0].seq : this.seq + 1;
+    const matching = this.entries.filter(entry =>
+      entry.seq > since && (!levels || levels.length === 0 || levels.includes(entry.level))
+    );
+    const entries = limit ? matching.slice(0, limit) : matching;
+    const truncated = entries.length < matching.length;
+
+    return {
+      entries,
+      // Resume from the last returned entry when truncated, otherwise from the newest seen
+      cursor: truncated ? entries[entries.length - 1].seq : this.seq,
+      truncated,
+      // Entries after the cursor that were dropped from the buffer before this read
+      missed: Math.max(0, oldest - 1 - since),
+    };
+  }
+}
+
+function formatRemoteObject(arg) {
+  if (arg.unserializableValue) return arg.unserializableValue;
+  if (arg.type === 'undefined') return 'undefined';
+  if (arg.value !== undefined) {
+    return typeof arg.value === 'string' ? arg.value : JSON.stringify(arg.value);
+  }
+  return arg.description || arg.type;
+}
+
+function formatStackTrace(stackTrace) {
+  if (!stackTrace || !stackTrace.callFrames || stackTrace.callFrames.length === 0) {
+    return undefined;
+  }
+
+  return stackTrace.callFrames
+    .slice(0, 10)
+    .map(frame => `${frame.functionName || '<anonymous>'} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`);
+}
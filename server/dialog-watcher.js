@@ -0,0 +1,167 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Per-tab handling of JavaScript dialogs (alert, confirm, prompt and
+ * beforeunload) reported by Page.javascriptDialogOpening.
+ *
+ * Each dialog is accepted, dismissed or left open for handle_dialog
+ * ("queue"), following the tab's policy or, without one, the default
+ * policy. An open dialog blocks the page, so guard() fails tool calls
+ * instead of letting them hang on it. Dialogs are numbered so a tool call
+ * can report the ones that opened while it ran.
+ *
+ * Like the console buffer, a watcher outlives individual CDP sessions and
+ * is re-attached whenever a new session is opened for the tab.
+ *
+ * Events:
+ * - 'queued' (dialog): a dialog was left open for handle_dialog
+ */
+
+const MAX_RECENT_DIALOGS = 20;
+
+export class DialogWatcher extends EventEmitter {
+  constructor({ defaultPolicy = () => 'queue', nextSeq } = {}) {
+    super();
+    let seq = 0;
+    this.defaultPolicy = defaultPolicy;
+    // Numbering is shared across tabs when the controller passes a counter
+    this.nextSeq = nextSeq || (() => ++seq);
+    // Set by set_dialog_policy for this tab; null follows the default
+    this.policy = null;
+    this.dialogs = [];
+    this.open = null;
+    this.client = null;
+
+    this.listeners = {
+      'Page.javascriptDialogOpening': params => this.onOpening(params),
+      'Page.javascriptDialogClosed': params => this.onClosed(params),
+    };
+  }
+
+  attach(client) {
+    this.detach();
+    this.client = client;
+
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      client.on(event, handler);
+    }
+  }
+
+  detach() {
+    if (!this.client) return;
+
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      this.client.removeListener(event, handler);
+    }
+    this.client = null;
+    // Closing events are missed without a session; a dialog still showing is reported again on Page.enable
+    this.open = null;
+  }
+
+  get effectivePolicy() {
+    return this.policy || this.defaultPolicy();
+  }
+
+  onOpening({ type, message, url, defaultPrompt }) {
+    const policy = this.effectivePolicy;
+    const dialog = {
+      seq: this.nextSeq(),
+      type,
+      message,
+      url,
+      defaultPrompt: type === 'prompt' ? defaultPrompt || '' : undefined,
+      policy,
+      status: 'open',
+      userInput: undefined,
+      openedAt: new Date().toISOString(),
+    };
+
+    this.dialogs.push(dialog);
+    if (this.dialogs.length > MAX_RECENT_DIALOGS) {
+      this.dialogs.shift();
+    }
+    this.open = dialog;
+
+    if (policy === 'queue') {
+      console.error(`${describeDialog(dialog)} is waiting for handle_dialog`);
+      this.emit('queued', dialog);
+      return;
+    }
+
+    const client = this.client;
+    this.respond(client, dialog, policy === 'accept').catch((error) => {
+      console.error(`Warning: Could not ${policy} ${type} dialog:`, error.message);
+    });
+  }
+
+  onClosed({ result, userInput }) {
+    if (!this.open) return;
+
+    this.open.status = result ? 'accepted' : 'dismissed';
+    if (this.open.type === 'prompt' && result) {
+      this.open.userInput = userInput;
+    }
+    this.open = null;
+  }
+
+  // Accept or dismiss the open dialog; prompts get promptText, or their default text
+  async handle(client, { accept, promptText }) {
+    const dialog = this.open;
+    if (!dialog) {
+      throw new Error('No JavaScript dialog is open in this tab');
+    }
+
+    try {
+      await this.respond(client, dialog, accept, promptText);
+    } catch (error) {
+      // The dialog went away on its own (e.g. the tab navigated)
+      if (this.open === dialog) this.open = null;
+      throw new Error(`Could not handle ${dialog.type} dialog: ${error.message}`);
+    }
+    return dialog;
+  }
+
+  async respond(client, dialog, accept, promptText) {
+    const text = dialog.type === 'prompt' ? (promptText ?? dialog.defaultPrompt) : undefined;
+    await client.Page.handleJavaScriptDialog({ accept, promptText: text });
+
+    dialog.status = accept ? 'accepted' : 'dismissed';
+    if (dialog.type === 'prompt' && accept) {
+      dialog.userInput = text;
+    }
+    if (this.open === dialog) this.open = null;
+  }
+
+  /**
+   * Run a tool call's page work, failing it when a dialog is already open
+   * (unless options.allowOpenDialog) or gets queued while it runs. The
+   * abandoned work resumes once the dialog is handled.
+   */
+  async guard(run, options = {}) {
+    if (this.open && this.open.policy === 'queue' && !options.allowOpenDialog) {
+      throw new Error(`${describeDialog(this.open)} is open. Use handle_dialog to accept or dismiss it first`);
+    }
+
+    let onQueued;
+    const blocked = new Promise((resolve, reject) => {
+      onQueued = dialog => reject(new Error(`${describeDialog(dialog)} opened. Use handle_dialog to accept or dismiss it`));
+      this.on('queued', onQueued);
+    });
+
+    try {
+      return await Promise.race([run(), blocked]);
+    } finally {
+      this.removeListener('queued', onQueued);
+    }
+  }
+
+  // Dialogs numbered after the cursor
+  since(seq) {
+    return this.dialogs.filter(dialog => dialog.seq > seq);
+  }
+}
+
+function describeDialog(dialog) {
+  const article = dialog.type === 'alert' ? 'An' : 'A';
+  return `${article} ${dialog.type} dialog ("${dialog.message}")`;
+}
@@ -8,7 +8,7 @@ import {
 import { ChromeController } from './chrome-controller.js';
 import { allTools, handleToolCall } from './tools/index.js';
 import { getConfig, validateConfig } from './utils/config.js';
-import { sanitizeForLog } from './utils/helpers.js';
+import { sanitizeForLog, IMAGE_CONTENT } from './utils/helpers.js';
 
 /**
  * Chrome Control Extension for Claude Desktop
@@ -88,12 +88,20 @@ class ChromeControlServer {
         // Log successful execution
         console.error(`Tool ${name} executed successfully`);
         
+        // Tools such as take_screenshot can return images the model can see directly
+        const images = (result && result[IMAGE_CONTENT]) || [];
+        
         return {
           content: [
             {
               type: 'text',
               text: JSON.stringify(result, null, 2),
             },
+            ...images.map(image => ({
+              type: 'image',
+              data: image.data,
+              mimeType: image.mimeType,
+            })),
           ],
         };
         
@@ -0,0 +1,371 @@
+/**
+ * Records network traffic for a single tab from CDP Network domain events.
+ *
+ * Entries keep request/response headers, timings and (optionally) response
+ * bodies, can be filtered for tool responses and exported as a HAR 1.2 log.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024; // 1 MB per response body
+
+export class NetworkRecorder {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.captureBodies = options.captureBodies || false;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    this.entries = new Map();
+    this.pendingBodies = new Set();
+    this.dropped = 0;
+    this.redirects = 0;
+    this.recording = false;
+    this.startedAt = null;
+    this.stoppedAt = null;
+
+    this.listeners = {
+      'Network.requestWillBeSent': params => this.onRequest(params),
+      'Network.responseReceived': params => this.onResponse(params),
+      'Network.requestServedFromCache': params => this.onServedFromCache(params),
+      'Network.loadingFinished': params => this.onFinished(params),
+      'Network.loadingFailed': params => this.onFailed(params),
+    };
+  }
+
+  start() {
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      this.client.on(event, handler);
+    }
+    this.recording = true;
+    this.startedAt = new Date().toISOString();
+  }
+
+  stop() {
+    for (const [event, handler] of Object.entries(this.listeners)) {
+      this.client.removeListener(event, handler);
+    }
+    this.recording = false;
+    this.stoppedAt = new Date().toISOString();
+  }
+
+  onRequest(params) {
+    const existing = this.entries.get(params.requestId);
+
+    // Redirects reuse the request id - close out the previous hop under its own key
+    if (existing && params.redirectResponse) {
+      this.applyResponse(existing, params.redirectResponse);
+      existing.redirectURL = params.request.url;
+      existing.finishedTimestamp = params.timestamp;
+      this.entries.delete(params.requestId);
+      this.entries.set(`${params.requestId}:redirect:${++this.redirects}`, existing);
+    }
+
+    this.entries.set(params.requestId, {
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      requestHeaders: params.request.headers || {},
+      postData: params.request.postData,
+      resourceType: params.type || 'Other',
+      startedDateTime: new Date(params.wallTime * 1000).toISOString(),
+      timestamp: params.timestamp,
+      status: null,
+      statusText: '',
+      mimeType: '',
+      protocol: '',
+      responseHeaders: {},
+      remoteIPAddress: null,
+      timing: null,
+      fromCache: false,
+      encodedDataLength: 0,
+      finishedTimestamp: null,
+      failed: false,
+      errorText: null,
+      redirectURL: '',
+      body: null,
+      bodyEncoding: null,
+    });
+
+    this.trim();
+  }
+
+  onResponse(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    entry.resourceType = params.type || entry.resourceType;
+    this.applyResponse(entry, params.response);
+  }
+
+  applyResponse(entry, response) {
+    entry.status = response.status;
+    entry.statusText = response.statusText || '';
+    entry.mimeType = response.mimeType || '';
+    entry.protocol = response.protocol || '';
+    entry.responseHeaders = response.headers || {};
+    entry.remoteIPAddress = response.remoteIPAddress || null;
+    entry.timing = response.timing || null;
+    entry.fromCache = entry.fromCache || !!response.fromDiskCache || !!response.fromServiceWorker;
+    entry.encodedDataLength = response.encodedDataLength || 0;
+  }
+
+  onServedFromCache({ requestId }) {
+    const entry = this.entries.get(requestId);
+    if (entry) entry.fromCache = true;
+  }
+
+  onFinished(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    entry.finishedTimestamp = params.timestamp;
+    entry.encodedDataLength = params.encodedDataLength;
+
+    if (this.captureBodies && params.encodedDataLength <= this.maxBodySize) {
+      const pending = this.client.Network.getResponseBody({ requestId: params.requestId })
+        .then(({ body, base64Encoded }) => {
+          entry.body = body;
+          entry.bodyEncoding = base64Encoded ? 'base64' : null;
+        })
+        .catch(() => {
+          // Bodies are unavailable for some requests (redirects, evicted from cache)
+        })
+        .finally(() => this.pendingBodies.delete(pending));
+      this.pendingBodies.add(pending);
+    }
+  }
+
+  onFailed(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    entry.resourceType = params.type || entry.resourceType;
+    entry.finishedTimestamp = params.timestamp;
+    entry.failed = true;
+    entry.errorText = params.canceled ? 'canceled' : params.errorText;
+  }
+
+  trim() {
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.dropped++;
+    }
+  }
+
+  // Wait for in-flight response body fetches
+  async settle() {
+    await Promise.allSettled([...this.pendingBodies]);
+  }
+
+  // Compact view of an entry for tool responses
+  summarize(entry) {
+    return {
+      requestId: entry.requestId,
+      method: entry.method,
+      url: entry.url,
+      resourceType: entry.resourceType,
+      status: entry.status,
+      statusText: entry.statusText,
+      mimeType: entry.mimeType,
+      size: entry.encodedDataLength,
+      durationMs: entry.finishedTimestamp !== null
+        ? Math.round((entry.finishedTimestamp - entry.timestamp) * 1000)
+        : null,
+      fromCache: entry.fromCache,
+      failed: entry.failed,
+      errorText: entry.errorText,
+      redirectURL: entry.redirectURL,
+      startedDateTime: entry.startedDateTime,
+      requestHeaders: entry.requestHeaders,
+      responseHeaders: entry.responseHeaders,
+      postData: entry.postData,
+      body: entry.body,
+      bodyEncoding: entry.bodyEncoding,
+    };
+  }
+
+  /**
+   * Filter recorded entries.
+   * - urlPattern: substring, `*` glob or `/regex/flags`
+   * - resourceType: CDP resource type (Document, XHR, Fetch, Script, ...), case-insensitive
+   * - status: exact code (404), class ("4xx") or "failed"
+   */
+  filter({ urlPattern, resourceType, status } = {}) {
+    const urlMatcher = urlPattern ? createUrlMatcher(urlPattern) : null;
+    const statusMatcher = status !== undefined && status !== null ? createStatusMatcher(status) : null;
+
+    return [...this.entries.values()].filter(entry =>
+      (!urlMatcher || urlMatcher(entry.url)) &&
+      (!resourceType || entry.resourceType.toLowerCase() === String(resourceType).toLowerCase()) &&
+      (!statusMatcher || statusMatcher(entry))
+    );
+  }
+
+  toHar(entries, creator) {
+    return {
+      log: {
+        version: '1.2',
+        creator,
+        pages: [],
+        entries: entries.map(entry => this.toHarEntry(entry)),
+      },
+    };
+  }
+
+  toHarEntry(entry) {
+    const timings = harTimings(entry);
+    // ssl is already included in connect, so it is left out of the total
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((total, phase) => total + (timings[phase] > 0 ? timings[phase] : 0), 0);
+    const httpVersion = harHttpVersion(entry.protocol);
+    const url = safeUrl(entry.url);
+
+    const harEntry = {
+      startedDateTime: entry.startedDateTime,
+      time: Math.round(time * 1000) / 1000,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion,
+        cookies: [],
+        headers: harHeaders(entry.requestHeaders),
+        queryString: url ? [...url.searchParams].map(([name, value]) => ({ name, value })) : [],
+        headersSize: -1,
+        bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0,
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: entry.failed ? entry.errorText : entry.statusText,
+        httpVersion,
+        cookies: [],
+        headers: harHeaders(entry.responseHeaders),
+        content: {
+          size: entry.body !== null
+            ? Buffer.byteLength(entry.body, entry.bodyEncoding === 'base64' ? 'base64' : 'utf8')
+            : entry.encodedDataLength,
+          mimeType: entry.mimeType || 'x-unknown',
+        },
+        redirectURL: entry.redirectURL,
+        headersSize: -1,
+        bodySize: entry.encodedDataLength || -1,
+      },
+      cache: {},
+      timings,
+      _resourceType: entry.resourceType,
+    };
+
+    if (entry.postData) {
+      harEntry.request.postData = {
+        mimeType: headerValue(entry.requestHeaders, 'content-type') || '',
+        text: entry.postData,
+      };
+    }
+
+    if (entry.body !== null) {
+      harEntry.response.content.text = entry.body;
+      if (entry.bodyEncoding) {
+        harEntry.response.content.encoding = entry.bodyEncoding;
+      }
+    }
+
+    if (entry.remoteIPAddress) {
+      harEntry.serverIPAddress = entry.remoteIPAddress.replace(/^\[|\]$/g, '');
+    }
+
+    if (entry.failed) {
+      harEntry._error = entry.errorText;
+    }
+
+    return harEntry;
+  }
+}
+
+// URL predicate for a substring (case-insensitive), `*` glob or `/regex/flags` pattern
+export function createUrlMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const compiled = new RegExp(regex[1], regex[2]);
+    return url => compiled.test(url);
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const compiled = new RegExp(`^${escaped}$`, 'i');
+    return url => compiled.test(url);
+  }
+
+  const lower = pattern.toLowerCase();
+  return url => url.toLowerCase().includes(lower);
+}
+
+function createStatusMatcher(status) {
+  const value = String(status).toLowerCase();
+
+  if (value === 'failed') {
+    return entry => entry.failed;
+  }
+
+  const statusClass = value.match(/^([1-5])xx$/);
+  if (statusClass) {
+    const digit = Number(statusClass[1]);
+    return entry => entry.status !== null && Math.floor(entry.status / 100) === digit;
+  }
+
+  const code = Number(value);
+  if (Number.isNaN(code)) {
+    throw new Error(`Invalid status filter '${status}'. Use a code (404), a class ("4xx") or "failed"`);
+  }
+  return entry => entry.status === code;
+}
+
+function harHeaders(headers) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    String(value).split('\n').map(line => ({ name, value: line }))
+  );
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function harHttpVersion(protocol) {
+  if (!protocol) return 'HTTP/1.1';
+  if (protocol === 'h2') return 'HTTP/2';
+  if (protocol === 'h3' || protocol.startsWith('h3-')) return 'HTTP/3';
+  return protocol.toUpperCase();
+}
+
+// HAR timings in milliseconds from CDP ResourceTiming (offsets relative to requestTime)
+function harTimings(entry) {
+  const timing = entry.timing;
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+
+  if (!timing) {
+    const total = entry.finishedTimestamp !== null ? (entry.finishedTimestamp - entry.timestamp) * 1000 : 0;
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: total, receive: 0, ssl: -1 };
+  }
+
+  const firstActivity = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+  const responseEnd = entry.finishedTimestamp !== null
+    ? (entry.finishedTimestamp - timing.requestTime) * 1000
+    : timing.receiveHeadersEnd;
+
+  return {
+    blocked: firstActivity,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive: Math.max(0, responseEnd - timing.receiveHeadersEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+  };
+}
+
+function safeUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,198 @@
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+/**
+ * On-disk store for screenshots, diff images, PDFs and named baselines.
+ *
+ * Generated files (screenshots, diffs and PDFs) live in the store directory
+ * and are removed once they are older than `retentionMs` or, oldest first,
+ * once the store grows past `maxTotalBytes`. Baselines live in `baselines/` and are
+ * never removed by retention; only delete() removes them.
+ */
+
+const GENERATED_PREFIXES = {
+  screenshot: 'screenshot_',
+  diff: 'diff_',
+  pdf: 'document_',
+};
+
+const BASELINE_DIR = 'baselines';
+
+export const SCREENSHOT_KINDS = ['screenshot', 'diff', 'pdf', 'baseline'];
+
+export class ScreenshotStore {
+  constructor({ dir, retentionMs = 24 * 60 * 60 * 1000, maxTotalBytes = 0 }) {
+    this.dir = dir;
+    this.baselineDir = path.join(dir, BASELINE_DIR);
+    this.retentionMs = retentionMs;
+    this.maxTotalBytes = maxTotalBytes;
+  }
+
+  async ensureDir() {
+    try {
+      await fs.mkdir(this.baselineDir, { recursive: true });
+    } catch (error) {
+      console.error('Failed to create screenshot directory:', error);
+    }
+  }
+
+  // Write a generated file and apply the retention policy
+  async save(kind, extension, buffer) {
+    const prefix = GENERATED_PREFIXES[kind];
+    if (!prefix) {
+      throw new Error(`Unknown screenshot kind '${kind}'`);
+    }
+
+    await this.ensureDir();
+    const filename = `${prefix}${Date.now()}_${crypto.randomBytes(4).toString('hex')}.${extension}`;
+    const filePath = path.join(this.dir, filename);
+    await fs.writeFile(filePath, buffer);
+
+    // The new file is the newest, so it survives the size cap unless it alone exceeds it
+    await this.enforceRetention();
+
+    return { path: filePath, filename };
+  }
+
+  baselinePath(name) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+      throw new Error(`Invalid baseline name '${name}'. Use letters, numbers, '-', '_' and '.'`);
+    }
+    return path.join(this.baselineDir, `${name}.png`);
+  }
+
+  async hasBaseline(name) {
+    try {
+      await fs.access(this.baselinePath(name));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async saveBaseline(name, sourcePath) {
+    const baselinePath = this.baselinePath(name);
+    await this.ensureDir();
+    await fs.copyFile(sourcePath, baselinePath);
+    return baselinePath;
+  }
+
+  /**
+   * List stored files, newest first.
+   * - kind: only include 'screenshot', 'diff', 'pdf' or 'baseline' entries
+   */
+  async list({ kind } = {}) {
+    const entries = [];
+
+    if (!kind || kind !== 'baseline') {
+      for (const file of await readDir(this.dir)) {
+        const fileKind = generatedKind(file);
+        if (!fileKind || (kind && fileKind !== kind)) continue;
+        entries.push(await this.describe(path.join(this.dir, file), fileKind, file));
+      }
+    }
+
+    if (!kind || kind === 'baseline') {
+      for (const file of await readDir(this.baselineDir)) {
+        if (!file.endsWith('.png')) continue;
+        entries.push(await this.describe(path.join(this.baselineDir, file), 'baseline', file.slice(0, -'.png'.length)));
+      }
+    }
+
+    return entries
+      .filter(Boolean)
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  async describe(filePath, kind, name) {
+    try {
+      const stats = await fs.stat(filePath);
+      return { kind, name, path: filePath, size: stats.size, modified: stats.mtime.getTime() };
+    } catch {
+      // Removed between readdir and stat
+      return null;
+    }
+  }
+
+  // Delete a generated file by filename or a baseline by name
+  async delete({ filename, baseline }) {
+    let filePath;
+
+    if (baseline) {
+      filePath = this.baselinePath(baseline);
+    } else {
+      if (!filename || path.basename(filename) !== filename || !generatedKind(filename)) {
+        throw new Error(`Invalid screenshot filename '${filename}'`);
+      }
+      filePath = path.join(this.dir, filename);
+    }
+
+    try {
+      const stats = await fs.stat(filePath);
+      await fs.unlink(filePath);
+      return { path: filePath, size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(baseline ? `Baseline '${baseline}' not found` : `Screenshot '${filename}' not found`);
+      }
+      throw error;
+    }
+  }
+
+  // Remove expired generated files, then the oldest ones until under the size cap
+  async enforceRetention() {
+    try {
+      const generated = (await this.list()).filter(entry => entry.kind !== 'baseline');
+      const now = Date.now();
+      const kept = [];
+      let removed = 0;
+
+      for (const entry of generated) {
+        if (this.retentionMs > 0 && now - entry.modified > this.retentionMs) {
+          removed += await removeQuietly(entry.path);
+        } else {
+          kept.push(entry);
+        }
+      }
+
+      if (this.maxTotalBytes > 0) {
+        let total = kept.reduce((sum, entry) => sum + entry.size, 0);
+        // Oldest last in the list; never delete the newest file
+        while (total > this.maxTotalBytes && kept.length > 1) {
+          const oldest = kept.pop();
+          removed += await removeQuietly(oldest.path);
+          total -= oldest.size;
+        }
+      }
+
+      return removed;
+    } catch (error) {
+      console.error('Failed to cleanup old screenshots:', error);
+      return 0;
+    }
+  }
+}
+
+function generatedKind(file) {
+  const kind = Object.keys(GENERATED_PREFIXES).find(key => file.startsWith(GENERATED_PREFIXES[key]));
+  return kind && /\.(png|jpg|webp|pdf)$/.test(file) ? kind : null;
+}
+
+async function readDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function removeQuietly(filePath) {
+  try {
+    await fs.unlink(filePath);
+    return 1;
+  } catch {
+    return 0;
+  }
+}
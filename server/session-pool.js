@@ -0,0 +1,236 @@
+import CDP from 'chrome-remote-interface';
+import { EventEmitter } from 'events';
+
+/**
+ * Pool of persistent CDP sessions keyed by target (tab) id.
+ *
+ * A session is opened the first time a tab is used, has its domains enabled
+ * once and is then reused by every later call for that tab. Sessions are
+ * dropped when their target is destroyed, when the websocket disconnects, or
+ * after sitting idle for longer than `idleTtl` milliseconds.
+ *
+ * Events:
+ * - 'session' (targetId, client): a new session was opened; emitted before
+ *   domains are enabled so listeners also see events replayed on enable
+ * - 'evicted' (targetId, client): a session was closed or lost; emitted
+ *   before the client is closed
+ * - 'closed' (targetId): the browser reported the target destroyed, whether
+ *   or not it had a session
+ */
+export class SessionPool extends EventEmitter {
+  constructor({ port, idleTtl = 5 * 60 * 1000, listTargets }) {
+    super();
+    this.port = port;
+    this.idleTtl = idleTtl;
+    this.listTargets = listTargets;
+    this.sessions = new Map();
+    this.browser = null;
+    this.browserConnecting = null;
+  }
+
+  // Run callback with the pooled session for a tab
+  async use(targetId, callback) {
+    const entry = this.getEntry(targetId);
+    const client = await entry.ready;
+
+    entry.active++;
+    try {
+      return await callback(client);
+    } finally {
+      entry.active--;
+      this.touch(entry);
+    }
+  }
+
+  // Keep a session alive regardless of idle time (e.g. while capturing events)
+  async pin(targetId) {
+    const entry = this.getEntry(targetId);
+    const client = await entry.ready;
+    entry.pins++;
+    return client;
+  }
+
+  unpin(targetId) {
+    const entry = this.sessions.get(targetId);
+    if (entry && entry.pins > 0) {
+      entry.pins--;
+      this.touch(entry);
+    }
+  }
+
+  has(targetId) {
+    return this.sessions.has(targetId);
+  }
+
+  getEntry(targetId) {
+    const existing = this.sessions.get(targetId);
+    if (existing) {
+      this.touch(existing);
+      return existing;
+    }
+
+    const entry = {
+      targetId,
+      client: null,
+      ready: null,
+      timer: null,
+      active: 0,
+      pins: 0,
+      lastUsed: Date.now(),
+    };
+    this.sessions.set(targetId, entry);
+
+    entry.ready = this.open(entry).catch((error) => {
+      if (this.sessions.get(targetId) === entry) {
+        this.sessions.delete(targetId);
+      }
+      throw error;
+    });
+
+    return entry;
+  }
+
+  async open(entry) {
+    const targets = await this.listTargets();
+    const target = targets.find(t => t.id === entry.targetId);
+
+    if (!target) {
+      throw new Error(`Tab with ID ${entry.targetId} not found`);
+    }
+
+    const client = await CDP({ port: this.port, target: target.webSocketDebuggerUrl });
+    entry.client = client;
+
+    client.on('disconnect', () => this.forget(entry));
+    this.emit('session', entry.targetId, client);
+
+    try {
+      await client.Page.enable();
+      await client.Runtime.enable();
+
+      // Lifecycle and Network events drive navigation waits and status reporting
+      await client.Page.setLifecycleEventsEnabled({ enabled: true });
+      await client.Network.enable();
+
+      // Enable DOM domain for getContentQuads
+      try {
+        if (client.DOM && client.DOM.enable) {
+          await client.DOM.enable();
+        }
+      } catch (error) {
+        console.error('Warning: Could not enable DOM domain:', error.message);
+      }
+    } catch (error) {
+      await this.evict(entry.targetId);
+      throw error;
+    }
+
+    // Watching is best effort - idle eviction and disconnects still apply without it
+    this.watchTargets();
+
+    this.touch(entry);
+    return client;
+  }
+
+  touch(entry) {
+    entry.lastUsed = Date.now();
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+
+    if (this.idleTtl > 0) {
+      entry.timer = setTimeout(() => this.expire(entry), this.idleTtl);
+      entry.timer.unref();
+    }
+  }
+
+  expire(entry) {
+    if (this.sessions.get(entry.targetId) !== entry) return;
+
+    if (entry.active > 0 || entry.pins > 0) {
+      this.touch(entry);
+      return;
+    }
+
+    console.error(`Closing idle CDP session for tab ${entry.targetId}`);
+    this.evict(entry.targetId);
+  }
+
+  // Remove a session after its websocket has gone away
+  forget(entry) {
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+
+    if (this.sessions.get(entry.targetId) === entry) {
+      this.sessions.delete(entry.targetId);
+      this.emit('evicted', entry.targetId, entry.client);
+    }
+  }
+
+  async evict(targetId) {
+    const entry = this.sessions.get(targetId);
+    if (!entry) return;
+
+    this.forget(entry);
+
+    if (entry.client) {
+      try {
+        await entry.client.close();
+      } catch (error) {
+        // Socket is already gone
+      }
+    }
+  }
+
+  async watchTargets() {
+    if (this.browser) return this.browser;
+    if (this.browserConnecting) return this.browserConnecting;
+
+    this.browserConnecting = (async () => {
+      try {
+        const version = await CDP.Version({ port: this.port });
+        const browser = await CDP({ port: this.port, target: version.webSocketDebuggerUrl });
+
+        browser.on('Target.targetDestroyed', ({ targetId }) => {
+          if (this.sessions.has(targetId)) {
+            console.error(`Tab ${targetId} was closed, dropping its CDP session`);
+            this.evict(targetId);
+          }
+          this.emit('closed', targetId);
+        });
+        browser.on('disconnect', () => {
+          this.browser = null;
+        });
+
+        await browser.Target.setDiscoverTargets({ discover: true });
+        this.browser = browser;
+        return browser;
+      } catch (error) {
+        console.error('Warning: Could not watch browser targets:', error.message);
+        return null;
+      } finally {
+        this.browserConnecting = null;
+      }
+    })();
+
+    return this.browserConnecting;
+  }
+
+  async closeAll() {
+    const targetIds = [...this.sessions.keys()];
+    await Promise.all(targetIds.map(targetId => this.evict(targetId)));
+
+    if (this.browser) {
+      try {
+        await this.browser.close();
+      } catch (error) {
+        // Socket is already gone
+      }
+      this.browser = null;
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import { attachImageContent } from '../utils/helpers.js';
+
 export const contentTools = [
   {
     name: 'execute_javascript',
@@ -19,7 +21,7 @@ export const contentTools = [
   },
   {
     name: 'get_page_content',
-    description: 'Get the HTML content of a page',
+    description: 'Get the content of a page as HTML, plain text or Markdown, paginated by characters',
     inputSchema: {
       type: 'object',
       properties: {
@@ -27,13 +29,59 @@ export const contentTools = [
           type: 'string',
           description: 'The ID of the tab',
         },
+        format: {
+          type: 'string',
+          enum: ['html', 'text', 'markdown', 'readability'],
+          description: 'html: raw page HTML; text: visible text without scripts, styles and navigation; markdown: the same with headings, links, lists and tables; readability: markdown of the main content only (default: html)',
+          default: 'html',
+        },
+        max_chars: {
+          type: 'number',
+          description: 'Maximum number of characters to return (default: 50000 for text, markdown and readability; all of the HTML for html)',
+          minimum: 1000,
+          maximum: 500000,
+        },
+        offset: {
+          type: 'number',
+          description: 'Character offset to start from; use next_offset from a previous call to read the next page (default: 0)',
+          default: 0,
+          minimum: 0,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'get_accessibility_snapshot',
+    description: 'Get a compact outline of the page accessibility tree (roles, names, states, values). Each element has a ref like "e42" that click_element and type_text accept instead of a selector',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector of an element to use as the root of the snapshot (default: whole page)',
+        },
+        interesting_only: {
+          type: 'boolean',
+          description: 'Omit generic containers, ignored nodes and text that repeats its parent name (default: true)',
+          default: true,
+        },
+        max_depth: {
+          type: 'number',
+          description: 'Maximum depth of the outline (default: unlimited)',
+          minimum: 1,
+        },
       },
       required: ['tab_id'],
     },
   },
   {
     name: 'take_screenshot',
-    description: 'Take a screenshot of a tab (saves to file and returns path)',
+    description: 'Take a screenshot of a tab, the full page or a single element (saves to file and/or returns the image inline)',
     inputSchema: {
       type: 'object',
       properties: {
@@ -43,14 +91,241 @@ export const contentTools = [
         },
         format: {
           type: 'string',
-          enum: ['png', 'jpeg'],
+          enum: ['png', 'jpeg', 'webp'],
           description: 'Screenshot format (default: png)',
           default: 'png',
         },
+        full_page: {
+          type: 'boolean',
+          description: 'Capture the whole scrollable page instead of the visible viewport (default: false)',
+          default: false,
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector of an element to capture; the image is clipped to its box',
+        },
+        quality: {
+          type: 'number',
+          description: 'Compression quality for jpeg and webp (default: 80)',
+          default: 80,
+          minimum: 1,
+          maximum: 100,
+        },
+        scale: {
+          type: 'number',
+          description: 'Scale factor applied to the captured area, e.g. 0.5 for half size (default: 1)',
+          default: 1,
+          minimum: 0.1,
+          maximum: 4,
+        },
+        viewport_width: {
+          type: 'number',
+          description: 'Temporarily resize the viewport to this width in CSS pixels before capturing',
+          minimum: 100,
+          maximum: 7680,
+        },
+        viewport_height: {
+          type: 'number',
+          description: 'Temporarily resize the viewport to this height in CSS pixels before capturing',
+          minimum: 100,
+          maximum: 4320,
+        },
+        return_mode: {
+          type: 'string',
+          enum: ['path', 'inline', 'both'],
+          description: 'Return a file path, the image itself as image content, or both (default: path)',
+          default: 'path',
+        },
+        max_inline_bytes: {
+          type: 'number',
+          description: 'Size budget in base64 bytes for inline images; larger captures are downscaled to fit (default: MAX_INLINE_IMAGE_BYTES setting)',
+          minimum: 10240,
+          maximum: 10485760,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'save_pdf',
+    description: 'Save a tab as a PDF document (saves to file and returns path and page count)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        paper_size: {
+          type: 'string',
+          enum: ['letter', 'legal', 'tabloid', 'a3', 'a4', 'a5'],
+          description: 'Paper size (default: letter)',
+          default: 'letter',
+        },
+        paper_width: {
+          type: 'string',
+          description: 'Custom paper width, e.g. "8.5in" or "210mm" (overrides paper_size)',
+        },
+        paper_height: {
+          type: 'string',
+          description: 'Custom paper height, e.g. "11in" or "297mm" (overrides paper_size)',
+        },
+        margin: {
+          type: 'string',
+          description: 'Margin for all sides, e.g. "1cm", "10mm", "0.5in" or "48px" (default: 0.4in)',
+        },
+        margin_top: {
+          type: 'string',
+          description: 'Top margin (overrides margin)',
+        },
+        margin_right: {
+          type: 'string',
+          description: 'Right margin (overrides margin)',
+        },
+        margin_bottom: {
+          type: 'string',
+          description: 'Bottom margin (overrides margin)',
+        },
+        margin_left: {
+          type: 'string',
+          description: 'Left margin (overrides margin)',
+        },
+        landscape: {
+          type: 'boolean',
+          description: 'Use landscape orientation (default: false)',
+          default: false,
+        },
+        print_background: {
+          type: 'boolean',
+          description: 'Print background colours and images (default: true)',
+          default: true,
+        },
+        scale: {
+          type: 'number',
+          description: 'Scale of the page rendering (default: 1)',
+          default: 1,
+          minimum: 0.1,
+          maximum: 2,
+        },
+        page_ranges: {
+          type: 'string',
+          description: 'Pages to include, e.g. "1-3, 5" (default: all pages)',
+        },
+        header_template: {
+          type: 'string',
+          description: 'HTML for the page header. Elements with class date, title, url, pageNumber or totalPages are filled in',
+        },
+        footer_template: {
+          type: 'string',
+          description: 'HTML for the page footer, with the same classes as header_template',
+        },
+        prefer_css_page_size: {
+          type: 'boolean',
+          description: 'Use the page size from CSS @page rules when present (default: false)',
+          default: false,
+        },
       },
       required: ['tab_id'],
     },
   },
+  {
+    name: 'compare_screenshots',
+    description: 'Pixel-diff two PNG screenshots, or a tab against a named baseline. Returns the mismatch percentage, bounding boxes of changed regions and a diff image path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        before_path: {
+          type: 'string',
+          description: 'Path of the earlier PNG screenshot (use this or baseline)',
+        },
+        after_path: {
+          type: 'string',
+          description: 'Path of the later PNG screenshot (use this or tab_id)',
+        },
+        baseline: {
+          type: 'string',
+          description: 'Name of a stored baseline to compare against. If it does not exist yet, the current capture is saved as the baseline',
+        },
+        tab_id: {
+          type: 'string',
+          description: 'Capture this tab now and use it as the later screenshot',
+        },
+        full_page: {
+          type: 'boolean',
+          description: 'When capturing a tab, capture the full scrollable page (default: false)',
+          default: false,
+        },
+        selector: {
+          type: 'string',
+          description: 'When capturing a tab, capture only the element matching this CSS selector',
+        },
+        threshold: {
+          type: 'number',
+          description: 'Per-pixel colour difference tolerated before a pixel counts as changed, 0-1 (default: 0.1)',
+          default: 0.1,
+          minimum: 0,
+          maximum: 1,
+        },
+        ignore_regions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number' },
+              height: { type: 'number' },
+            },
+            required: ['x', 'y', 'width', 'height'],
+          },
+          description: 'Areas to exclude from the comparison, in image pixels (e.g. timestamps, ads, carousels)',
+        },
+        update_baseline: {
+          type: 'boolean',
+          description: 'Replace the baseline with the current capture after comparing (default: false)',
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: 'list_screenshots',
+    description: 'List stored screenshots, diff images, PDFs and baselines, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        kind: {
+          type: 'string',
+          enum: ['screenshot', 'diff', 'pdf', 'baseline'],
+          description: 'Only list this kind of file (default: all)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of entries to return (default: 50)',
+          default: 50,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+    },
+  },
+  {
+    name: 'delete_screenshot',
+    description: 'Delete a stored screenshot, diff image or PDF by filename, or a baseline by name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filename: {
+          type: 'string',
+          description: 'Filename of a screenshot, diff image or PDF, as returned by take_screenshot, save_pdf or list_screenshots',
+        },
+        baseline: {
+          type: 'string',
+          description: 'Name of a baseline to delete',
+        },
+      },
+    },
+  },
 ];
 
 export async function handleContentTool(name, args, chromeController) {
@@ -71,28 +346,251 @@ export async function handleContentTool(name, args, chromeController) {
     }
 
     case 'get_page_content': {
-      const { tab_id } = args;
-      const content = await chromeController.getPageContent(tab_id);
+      const { tab_id, format = 'html', max_chars, offset = 0 } = args;
+      const page = await chromeController.getPageContent(tab_id, { format, maxChars: max_chars, offset });
       return {
         success: true,
-        content: content,
+        format: page.format,
+        content: page.content,
+        total_length: page.totalLength,
+        offset: page.offset,
+        next_offset: page.nextOffset,
+        truncated: page.nextOffset !== null,
+        message: page.nextOffset !== null
+          ? `Returned characters ${page.offset}-${page.nextOffset} of ${page.totalLength}; call again with offset=${page.nextOffset} for more`
+          : `Returned ${page.content.length} characters`,
       };
     }
 
-    case 'take_screenshot': {
-      const { tab_id, format = 'png' } = args;
-      const screenshotInfo = await chromeController.takeScreenshot(tab_id, format);
+    case 'get_accessibility_snapshot': {
+      const { tab_id, selector, interesting_only = true, max_depth } = args;
+      const snapshot = await chromeController.getAccessibilitySnapshot(tab_id, {
+        selector,
+        interestingOnly: interesting_only,
+        maxDepth: max_depth,
+      });
       return {
+        success: true,
+        url: snapshot.url,
+        title: snapshot.title,
+        node_count: snapshot.nodeCount,
+        ref_count: snapshot.refCount,
+        snapshot: snapshot.snapshot,
+        message: `Accessibility snapshot with ${snapshot.nodeCount} nodes. Pass a ref (e.g. "e42") to click_element or type_text`,
+      };
+    }
+
+    case 'take_screenshot': {
+      const {
+        tab_id,
+        format = 'png',
+        full_page = false,
+        selector,
+        quality,
+        scale = 1,
+        viewport_width,
+        viewport_height,
+        return_mode = 'path',
+        max_inline_bytes,
+      } = args;
+
+      if ((viewport_width && !viewport_height) || (!viewport_width && viewport_height)) {
+        throw new Error('viewport_width and viewport_height must be provided together');
+      }
+      if (!['path', 'inline', 'both'].includes(return_mode)) {
+        throw new Error(`Invalid return_mode '${return_mode}'. Expected one of: path, inline, both`);
+      }
+
+      const screenshotInfo = await chromeController.takeScreenshot(tab_id, format, {
+        fullPage: full_page,
+        selector,
+        quality,
+        scale,
+        viewport: viewport_width ? { width: viewport_width, height: viewport_height } : null,
+        save: return_mode !== 'inline',
+        inline: return_mode !== 'path',
+        maxInlineBytes: max_inline_bytes,
+      });
+      const inlineImage = screenshotInfo.inline;
+
+      const result = {
         success: true,
         screenshot: {
           path: screenshotInfo.path,
           filename: screenshotInfo.filename,
           format: screenshotInfo.format,
           size_bytes: screenshotInfo.size,
+          width: screenshotInfo.width,
+          height: screenshotInfo.height,
+          full_page: screenshotInfo.fullPage,
+          selector: screenshotInfo.selector || undefined,
           timestamp: screenshotInfo.timestamp,
-          tab_id: screenshotInfo.tabId
+          tab_id: screenshotInfo.tabId,
+          inline: inlineImage ? {
+            mime_type: inlineImage.mimeType,
+            size_bytes: inlineImage.size,
+            width: inlineImage.width,
+            height: inlineImage.height,
+            downscaled: inlineImage.downscaled,
+          } : undefined,
+        },
+        message: screenshotInfo.filename
+          ? `Screenshot saved as ${screenshotInfo.filename} (${Math.round(screenshotInfo.size / 1024)}KB)`
+          : `Screenshot captured inline (${Math.round(inlineImage.size / 1024)}KB)`,
+      };
+
+      if (inlineImage) {
+        if (inlineImage.downscaled) {
+          result.message += `; inline copy downscaled to ${inlineImage.width}x${inlineImage.height} to fit the size limit`;
+        }
+        attachImageContent(result, [{ data: inlineImage.data, mimeType: inlineImage.mimeType }]);
+      }
+
+      return result;
+    }
+
+    case 'save_pdf': {
+      const {
+        tab_id,
+        paper_size = 'letter',
+        paper_width,
+        paper_height,
+        margin,
+        margin_top = margin,
+        margin_right = margin,
+        margin_bottom = margin,
+        margin_left = margin,
+        landscape = false,
+        print_background = true,
+        scale = 1,
+        page_ranges = '',
+        header_template,
+        footer_template,
+        prefer_css_page_size = false,
+      } = args;
+
+      const pdfInfo = await chromeController.savePdf(tab_id, {
+        paperSize: paper_size,
+        paperWidth: paper_width,
+        paperHeight: paper_height,
+        margins: { top: margin_top, right: margin_right, bottom: margin_bottom, left: margin_left },
+        landscape,
+        printBackground: print_background,
+        scale,
+        pageRanges: page_ranges,
+        headerTemplate: header_template,
+        footerTemplate: footer_template,
+        preferCssPageSize: prefer_css_page_size,
+      });
+      return {
+        success: true,
+        pdf: {
+          path: pdfInfo.path,
+          filename: pdfInfo.filename,
+          size_bytes: pdfInfo.size,
+          page_count: pdfInfo.pageCount,
+          paper_size: pdfInfo.paperSize,
+          landscape: pdfInfo.landscape,
+          timestamp: pdfInfo.timestamp,
+          tab_id: pdfInfo.tabId,
+        },
+        message: `PDF saved as ${pdfInfo.filename} (${pdfInfo.pageCount !== null ? `${pdfInfo.pageCount} pages, ` : ''}${Math.round(pdfInfo.size / 1024)}KB)`,
+      };
+    }
+
+    case 'compare_screenshots': {
+      const {
+        before_path,
+        after_path,
+        baseline,
+        tab_id,
+        full_page = false,
+        selector,
+        threshold = 0.1,
+        ignore_regions = [],
+        update_baseline = false,
+      } = args;
+
+      const comparison = await chromeController.compareScreenshots({
+        beforePath: before_path,
+        afterPath: after_path,
+        baseline,
+        tabId: tab_id,
+        threshold,
+        ignoreRegions: ignore_regions,
+        updateBaseline: update_baseline,
+        captureOptions: { fullPage: full_page, selector },
+      });
+
+      const baselineInfo = comparison.baseline ? {
+        name: comparison.baseline.name,
+        path: comparison.baseline.path,
+        created: comparison.baseline.created,
+        updated: comparison.baseline.updated,
+      } : undefined;
+
+      if (comparison.baseline && comparison.baseline.created) {
+        return {
+          success: true,
+          before_path: comparison.beforePath,
+          after_path: comparison.afterPath,
+          baseline: baselineInfo,
+          message: `Baseline '${comparison.baseline.name}' did not exist and was created from the current capture`,
+        };
+      }
+
+      return {
+        success: true,
+        before_path: comparison.beforePath,
+        after_path: comparison.afterPath,
+        baseline: baselineInfo,
+        identical: comparison.mismatchedPixels === 0,
+        mismatch_percentage: comparison.mismatchPercentage,
+        mismatched_pixels: comparison.mismatchedPixels,
+        compared_pixels: comparison.comparedPixels,
+        width: comparison.width,
+        height: comparison.height,
+        size_mismatch: comparison.sizeMismatch,
+        regions: comparison.regions,
+        total_regions: comparison.totalRegions,
+        diff: {
+          path: comparison.diffPath,
+          filename: comparison.diffFilename,
         },
-        message: `Screenshot saved as ${screenshotInfo.filename} (${Math.round(screenshotInfo.size / 1024)}KB)`,
+        message: comparison.mismatchedPixels === 0
+          ? 'Screenshots are identical within the threshold'
+          : `${comparison.mismatchPercentage}% of pixels changed in ${comparison.totalRegions} region(s)`,
+      };
+    }
+
+    case 'list_screenshots': {
+      const { kind, limit = 50 } = args;
+      const result = await chromeController.listScreenshots({ kind, limit });
+      return {
+        success: true,
+        directory: result.directory,
+        total: result.total,
+        total_size_bytes: result.totalSize,
+        returned: result.entries.length,
+        screenshots: result.entries.map(entry => ({
+          kind: entry.kind,
+          name: entry.name,
+          path: entry.path,
+          size_bytes: entry.size,
+          modified: new Date(entry.modified).toISOString(),
+        })),
+        message: `Found ${result.total} stored files`,
+      };
+    }
+
+    case 'delete_screenshot': {
+      const { filename, baseline } = args;
+      const result = await chromeController.deleteScreenshot({ filename, baseline });
+      return {
+        success: true,
+        path: result.path,
+        size_bytes: result.size,
+        message: baseline ? `Deleted baseline '${baseline}'` : `Deleted ${filename}`,
       };
     }
 
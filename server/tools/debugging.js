@@ -0,0 +1,280 @@
+import { CONSOLE_LEVELS } from '../console-buffer.js';
+
+// Filters shared by get_network_log and export_har
+const networkFilterProperties = {
+  url_pattern: {
+    type: 'string',
+    description: 'Only include requests whose URL contains this text, matches a * glob, or matches a /regex/',
+  },
+  resource_type: {
+    type: 'string',
+    description: 'Only include this resource type (Document, XHR, Fetch, Script, Stylesheet, Image, ...)',
+  },
+  status: {
+    type: 'string',
+    description: 'Only include this status: exact code ("404"), class ("4xx") or "failed"',
+  },
+};
+
+export const debuggingTools = [
+  {
+    name: 'start_network_capture',
+    description: 'Start recording network requests and responses for a tab (restarts and clears any previous capture)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        capture_bodies: {
+          type: 'boolean',
+          description: 'Also record response bodies (default: false)',
+          default: false,
+        },
+        max_entries: {
+          type: 'number',
+          description: 'Maximum number of requests to keep; oldest are dropped first (default: 1000)',
+          default: 1000,
+          minimum: 10,
+          maximum: 10000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'stop_network_capture',
+    description: 'Stop recording network traffic for a tab; the recorded log stays available',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'get_network_log',
+    description: 'Get recorded network requests for a tab, optionally filtered by URL, resource type or status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        ...networkFilterProperties,
+        include_headers: {
+          type: 'boolean',
+          description: 'Include request and response headers (default: false)',
+          default: false,
+        },
+        include_bodies: {
+          type: 'boolean',
+          description: 'Include request post data and captured response bodies (default: false)',
+          default: false,
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of entries to return, most recent first (default: 100)',
+          default: 100,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'export_har',
+    description: 'Export recorded network traffic for a tab to a HAR 1.2 file (saves to file and returns path)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        ...networkFilterProperties,
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'get_console_logs',
+    description: 'Get console messages, uncaught exceptions and browser log entries for a tab. Pass the returned cursor as "since" to get only newer messages',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        levels: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: CONSOLE_LEVELS,
+          },
+          description: 'Only include these levels (default: all)',
+        },
+        since: {
+          type: 'number',
+          description: 'Cursor from a previous call; only messages logged after it are returned (default: 0)',
+          default: 0,
+          minimum: 0,
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of messages to return, oldest first (default: 100)',
+          default: 100,
+          minimum: 1,
+          maximum: 1000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+];
+
+export async function handleDebuggingTool(name, args, chromeController) {
+  switch (name) {
+    case 'start_network_capture': {
+      const { tab_id, capture_bodies = false, max_entries = 1000 } = args;
+      const result = await chromeController.startNetworkCapture(tab_id, {
+        captureBodies: capture_bodies,
+        maxEntries: max_entries,
+      });
+      return {
+        success: true,
+        tab_id,
+        capturing: true,
+        capture_bodies: result.captureBodies,
+        max_entries: result.maxEntries,
+        started_at: result.startedAt,
+        message: `Started network capture for tab ${tab_id}`,
+      };
+    }
+
+    case 'stop_network_capture': {
+      const { tab_id } = args;
+      const result = await chromeController.stopNetworkCapture(tab_id);
+      return {
+        success: true,
+        tab_id,
+        capturing: false,
+        entry_count: result.entryCount,
+        dropped: result.dropped,
+        started_at: result.startedAt,
+        stopped_at: result.stoppedAt,
+        message: `Stopped network capture for tab ${tab_id} (${result.entryCount} requests recorded)`,
+      };
+    }
+
+    case 'get_network_log': {
+      const {
+        tab_id,
+        url_pattern,
+        resource_type,
+        status,
+        include_headers = false,
+        include_bodies = false,
+        limit = 100,
+      } = args;
+
+      const log = await chromeController.getNetworkLog(tab_id, {
+        urlPattern: url_pattern,
+        resourceType: resource_type,
+        status,
+      });
+      const entries = log.entries.slice(-limit).reverse();
+
+      return {
+        success: true,
+        tab_id,
+        capturing: log.recording,
+        total_recorded: log.total,
+        matched: log.entries.length,
+        returned: entries.length,
+        entries: entries.map(entry => ({
+          request_id: entry.requestId,
+          method: entry.method,
+          url: entry.url,
+          resource_type: entry.resourceType,
+          status: entry.status,
+          status_text: entry.statusText,
+          mime_type: entry.mimeType,
+          size_bytes: entry.size,
+          duration_ms: entry.durationMs,
+          from_cache: entry.fromCache,
+          failed: entry.failed,
+          error: entry.errorText || undefined,
+          redirect_url: entry.redirectURL || undefined,
+          started: entry.startedDateTime,
+          request_headers: include_headers ? entry.requestHeaders : undefined,
+          response_headers: include_headers ? entry.responseHeaders : undefined,
+          post_data: include_bodies ? entry.postData : undefined,
+          body: include_bodies ? entry.body : undefined,
+          body_encoding: include_bodies && entry.bodyEncoding ? entry.bodyEncoding : undefined,
+        })),
+        message: `Found ${log.entries.length} matching requests`,
+      };
+    }
+
+    case 'export_har': {
+      const { tab_id, url_pattern, resource_type, status } = args;
+      const harInfo = await chromeController.exportHar(tab_id, {
+        urlPattern: url_pattern,
+        resourceType: resource_type,
+        status,
+      });
+      return {
+        success: true,
+        har: {
+          path: harInfo.path,
+          filename: harInfo.filename,
+          entry_count: harInfo.entryCount,
+          size_bytes: harInfo.size,
+          timestamp: harInfo.timestamp,
+          tab_id: harInfo.tabId,
+        },
+        message: `HAR saved as ${harInfo.filename} (${harInfo.entryCount} requests)`,
+      };
+    }
+
+    case 'get_console_logs': {
+      const { tab_id, levels, since = 0, limit = 100 } = args;
+      const result = await chromeController.getConsoleLogs(tab_id, { levels, since, limit });
+      return {
+        success: true,
+        tab_id,
+        cursor: result.cursor,
+        truncated: result.truncated,
+        missed: result.missed,
+        buffered: result.buffered,
+        entries: result.entries.map(entry => ({
+          seq: entry.seq,
+          level: entry.level,
+          source: entry.source,
+          type: entry.type,
+          text: entry.text,
+          url: entry.url || undefined,
+          line: entry.line || undefined,
+          column: entry.column || undefined,
+          timestamp: entry.timestamp,
+          stack: entry.stack,
+        })),
+        message: result.truncated
+          ? `Returned ${result.entries.length} messages; call again with since=${result.cursor} for more`
+          : `Returned ${result.entries.length} messages`,
+      };
+    }
+
+    default:
+      throw new Error(`Unknown debugging tool: ${name}`);
+  }
+}
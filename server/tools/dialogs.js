@@ -0,0 +1,106 @@
+import { DIALOG_POLICIES } from '../utils/config.js';
+
+// What happens to dialogs under each policy, for set_dialog_policy messages
+const POLICY_OUTCOMES = {
+  accept: 'accepted automatically',
+  dismiss: 'dismissed automatically',
+  queue: 'left open for handle_dialog',
+};
+
+export const dialogTools = [
+  {
+    name: 'handle_dialog',
+    description: 'Accept or dismiss the JavaScript dialog (alert, confirm, prompt or beforeunload) open in a tab',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        action: {
+          type: 'string',
+          enum: ['accept', 'dismiss'],
+          description: 'Accept (OK / Leave) or dismiss (Cancel / Stay) the dialog',
+        },
+        prompt_text: {
+          type: 'string',
+          description: 'Text to enter into a prompt() dialog before accepting (default: the prompt\'s default text)',
+        },
+      },
+      required: ['tab_id', 'action'],
+    },
+  },
+  {
+    name: 'set_dialog_policy',
+    description: 'Choose whether JavaScript dialogs are accepted, dismissed or left open for handle_dialog, for one tab or by default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab; omit to change the default for tabs without their own policy',
+        },
+        policy: {
+          type: 'string',
+          enum: DIALOG_POLICIES,
+          description: 'accept or dismiss dialogs automatically, or queue them until handle_dialog is called',
+        },
+      },
+      required: ['policy'],
+    },
+  },
+];
+
+// Shape a dialog seen by a DialogWatcher for tool responses
+export function formatDialog(dialog) {
+  return {
+    tab_id: dialog.tabId,
+    type: dialog.type,
+    message: dialog.message,
+    url: dialog.url,
+    default_prompt: dialog.defaultPrompt,
+    policy: dialog.policy,
+    status: dialog.status,
+    user_input: dialog.userInput,
+  };
+}
+
+export async function handleDialogTool(name, args, chromeController) {
+  switch (name) {
+    case 'handle_dialog': {
+      const { tab_id, action, prompt_text } = args;
+      if (action !== 'accept' && action !== 'dismiss') {
+        throw new Error(`Invalid action '${action}'. Expected accept or dismiss`);
+      }
+
+      const dialog = await chromeController.handleDialog(tab_id, {
+        accept: action === 'accept',
+        promptText: prompt_text,
+      });
+      return {
+        success: true,
+        action: action === 'accept' ? 'dialog_accepted' : 'dialog_dismissed',
+        dialog: formatDialog(dialog),
+        message: `${action === 'accept' ? 'Accepted' : 'Dismissed'} ${dialog.type} dialog "${dialog.message}"`,
+      };
+    }
+
+    case 'set_dialog_policy': {
+      const { tab_id, policy } = args;
+      const result = chromeController.setDialogPolicy(tab_id, policy);
+      return {
+        success: true,
+        tab_id: result.tabId,
+        policy: result.policy,
+        default_policy: result.defaultPolicy,
+        message: tab_id
+          ? `Dialogs in tab ${tab_id} will be ${POLICY_OUTCOMES[policy]}`
+          : `Dialogs in tabs without their own policy will be ${POLICY_OUTCOMES[policy]}`,
+      };
+    }
+
+    default:
+      throw new Error(`Unknown dialog tool: ${name}`);
+  }
+}
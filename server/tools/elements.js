@@ -1,3 +1,47 @@
+const forceProperty = {
+  type: 'boolean',
+  description: 'Skip the enabled, stable and not-covered checks and send the mouse events to the element\'s position anyway (default: false)',
+  default: false,
+};
+
+// Target and timeout properties shared by the mouse interaction tools
+const mouseTargetProperties = {
+  tab_id: {
+    type: 'string',
+    description: 'The ID of the tab',
+  },
+  selector: {
+    type: 'string',
+    description: 'CSS selector OR descriptive hint like "menu", "settings button"',
+  },
+  ref: {
+    type: 'string',
+    description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+  },
+  timeout: {
+    type: 'number',
+    description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+    default: 5000,
+    minimum: 1000,
+    maximum: 30000,
+  },
+  force: forceProperty,
+};
+
+const modifiersProperty = {
+  type: 'array',
+  items: {
+    type: 'string',
+    enum: ['Alt', 'Control', 'Meta', 'Shift', 'ControlOrMeta'],
+  },
+  description: 'Modifier keys held during the click (ControlOrMeta is Meta on macOS, Control elsewhere)',
+};
+
+const frameProperty = {
+  type: ['string', 'number'],
+  description: 'Search inside an iframe instead of the main page: the frame name, a URL pattern ("*" wildcards, otherwise any part of the URL) or its index (0 is the first iframe in document order)',
+};
+
 export const elementTools = [
   {
     name: 'analyze_form',
@@ -18,6 +62,36 @@ export const elementTools = [
       required: ['tab_id'],
     },
   },
+  {
+    name: 'fill_form',
+    description: 'Fill several form fields in one call (text, select, checkbox, radio) and optionally submit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        fields: {
+          type: 'object',
+          description: 'Map of field identifier (name, id, label text, placeholder or smart hint) to value. Use true/false for checkboxes, the option value or label for selects and radio groups, and an array for multi-selects',
+          additionalProperties: {
+            type: ['string', 'number', 'boolean', 'array'],
+          },
+        },
+        form_selector: {
+          type: 'string',
+          description: 'CSS selector of the form to fill (default: search the whole page)',
+        },
+        submit: {
+          type: 'boolean',
+          description: 'Submit the form after filling (default: false)',
+          default: false,
+        },
+      },
+      required: ['tab_id', 'fields'],
+    },
+  },
   {
     name: 'click_element',
     description: 'Click on an element using CSS selector or smart hint (e.g., "submit button", "search", "login")',
@@ -30,8 +104,13 @@ export const elementTools = [
         },
         selector: {
           type: 'string',
-          description: 'CSS selector OR descriptive hint like "submit", "search button", "login field"',
+          description: 'CSS selector OR descriptive hint like "submit", "search button", "login field". Use "host >>> inner" to reach into open shadow roots, or an engine prefix to skip hint matching: xpath=//button, text="Sign in", role=button[name="Save"], css=.save',
         },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+        },
+        frame: frameProperty,
         timeout: {
           type: 'number',
           description: 'Maximum time to wait for element in milliseconds (default: 5000)',
@@ -39,8 +118,104 @@ export const elementTools = [
           minimum: 1000,
           maximum: 30000,
         },
+        force: forceProperty,
       },
-      required: ['tab_id', 'selector'],
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'hover_element',
+    description: 'Move the mouse over an element (e.g. to open hover menus or show tooltips); the pointer stays there until the next mouse action',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...mouseTargetProperties,
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'double_click',
+    description: 'Double-click an element using CSS selector or smart hint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...mouseTargetProperties,
+        modifiers: modifiersProperty,
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'right_click',
+    description: 'Right-click an element to open its context menu, optionally holding modifier keys',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...mouseTargetProperties,
+        modifiers: modifiersProperty,
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'drag_and_drop',
+    description: 'Drag from a source element or point to a target element or point. Works with native HTML5 drag and drop and pointer-based drag libraries',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        source_selector: {
+          type: 'string',
+          description: 'CSS selector OR descriptive hint for the element to drag',
+        },
+        source_ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot for the element to drag',
+        },
+        source_x: {
+          type: 'number',
+          description: 'Viewport x coordinate to start dragging from (with source_y, instead of a source element)',
+        },
+        source_y: {
+          type: 'number',
+          description: 'Viewport y coordinate to start dragging from',
+        },
+        target_selector: {
+          type: 'string',
+          description: 'CSS selector OR descriptive hint for the drop target',
+        },
+        target_ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot for the drop target',
+        },
+        target_x: {
+          type: 'number',
+          description: 'Viewport x coordinate to drop at (with target_y, instead of a target element)',
+        },
+        target_y: {
+          type: 'number',
+          description: 'Viewport y coordinate to drop at',
+        },
+        steps: {
+          type: 'number',
+          description: 'Number of intermediate mouse moves between source and target (default: 10)',
+          default: 10,
+          minimum: 1,
+          maximum: 100,
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for each element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id'],
     },
   },
   {
@@ -55,7 +230,12 @@ export const elementTools = [
         },
         selector: {
           type: 'string',
-          description: 'CSS selector OR descriptive hint like "search", "email field", "username"',
+          description: 'CSS selector OR descriptive hint like "search", "email field", "username". Use "host >>> inner" to reach into open shadow roots, or an engine prefix to skip hint matching: xpath=, text=, role=textbox[name="Email"], css=',
+        },
+        frame: frameProperty,
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
         },
         text: {
           type: 'string',
@@ -66,20 +246,392 @@ export const elementTools = [
           description: 'Clear existing content before typing (default: true)',
           default: true,
         },
+        delay_ms: {
+          type: 'number',
+          description: 'Type character by character with real keydown/keyup events, waiting this long between keys. Omit to insert the text at once',
+          minimum: 0,
+          maximum: 1000,
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id', 'text'],
+    },
+  },
+  {
+    name: 'select_option',
+    description: 'Choose options in a <select> dropdown by value, visible label or index (several on multi-selects)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector OR descriptive hint like "country", "size dropdown"',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+        },
+        values: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Option values to select',
+        },
+        labels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Visible option texts to select (exact match first, then contains, case-insensitive)',
+        },
+        indexes: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Zero-based option indexes to select',
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'set_checked',
+    description: 'Check or uncheck a checkbox, switch or radio button using CSS selector or smart hint (e.g. "remember me", "terms")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector OR descriptive hint matching the label text',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+        },
+        checked: {
+          type: 'boolean',
+          description: 'Desired state (default: true). Radio buttons can only be checked',
+          default: true,
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'upload_file',
+    description: 'Attach local files to an <input type="file"> using CSS selector or smart hint (e.g. "resume upload")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector OR descriptive hint for the file input',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+        },
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Absolute paths of local files to attach (several only if the input allows multiple)',
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id', 'files'],
+    },
+  },
+  {
+    name: 'press_key',
+    description: 'Press a key or key chord with real keyboard events (e.g. "Enter", "Escape", "Shift+Tab", "Control+A", "ArrowDown")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        key: {
+          type: 'string',
+          description: 'Key name or chord joined with "+": Enter, Tab, Escape, Backspace, Delete, ArrowUp/Down/Left/Right, Home, End, PageUp, PageDown, F1-F12, single characters, with modifiers Control, Alt, Shift, Meta or ControlOrMeta',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector of an element to focus before pressing (default: the currently focused element)',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot to focus before pressing, used instead of selector',
+        },
+        repeat: {
+          type: 'number',
+          description: 'Number of times to press the key (default: 1)',
+          default: 1,
+          minimum: 1,
+          maximum: 100,
+        },
+        delay_ms: {
+          type: 'number',
+          description: 'Delay between repeated presses in milliseconds (default: 0)',
+          default: 0,
+          minimum: 0,
+          maximum: 5000,
+        },
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for the element to focus in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id', 'key'],
+    },
+  },
+  {
+    name: 'scroll',
+    description: 'Scroll the page or a scrollable container with the mouse wheel: to an edge, by pixels, or until an element is in view',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        to: {
+          type: 'string',
+          enum: ['top', 'bottom', 'left', 'right'],
+          description: 'Scroll to this edge',
+        },
+        delta_x: {
+          type: 'number',
+          description: 'Pixels to scroll right (negative: left)',
+        },
+        delta_y: {
+          type: 'number',
+          description: 'Pixels to scroll down (negative: up)',
+        },
+        selector: {
+          type: 'string',
+          description: 'Scroll until this element is in view: CSS selector OR descriptive hint, or xpath=, text= or role= selector',
+        },
+        ref: {
+          type: 'string',
+          description: 'Element ref from get_accessibility_snapshot (e.g. "e42"), used instead of selector',
+        },
+        container: {
+          type: 'string',
+          description: 'CSS selector of the scrollable element to scroll (default: the page, or the nearest scrollable ancestor of selector)',
+        },
+        frame: frameProperty,
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for the selector element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'scroll_until',
+    description: 'Keep scrolling to load lazy content (infinite feeds, virtual tables) until an element appears, the item count stops growing, or a scroll limit is reached',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'Stop once an element matching this selector is visible',
+        },
+        item_selector: {
+          type: 'string',
+          description: 'Selector of the loaded items (e.g. ".feed-item"); stop when their count stops growing at the end of the content',
+        },
+        container: {
+          type: 'string',
+          description: 'CSS selector of the scrollable element (default: the page)',
+        },
+        frame: frameProperty,
+        direction: {
+          type: 'string',
+          enum: ['down', 'up', 'right', 'left'],
+          description: 'Scroll direction (default: down)',
+          default: 'down',
+        },
+        step: {
+          type: 'number',
+          description: 'Pixels per scroll (default: 80% of the visible height or width)',
+          minimum: 1,
+        },
+        max_scrolls: {
+          type: 'number',
+          description: 'Maximum number of scrolls (default: 20)',
+          default: 20,
+          minimum: 1,
+          maximum: 200,
+        },
+        wait_ms: {
+          type: 'number',
+          description: 'Time to wait after each scroll for content to load in milliseconds (default: 500)',
+          default: 500,
+          minimum: 0,
+          maximum: 10000,
+        },
+      },
+      required: ['tab_id'],
+    },
+  },
+  {
+    name: 'get_element_text',
+    description: 'Get text content from an element using CSS selector',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector for the element ("host >>> inner" reaches into open shadow roots), or xpath=, text= or role= selector',
+        },
+        frame: frameProperty,
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
+        },
+      },
+      required: ['tab_id', 'selector'],
+    },
+  },
+  {
+    name: 'element_exists',
+    description: 'Check if an element exists and is visible using CSS selector',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector for the element ("host >>> inner" reaches into open shadow roots), or xpath=, text= or role= selector',
+        },
+        frame: frameProperty,
+        timeout: {
+          type: 'number',
+          description: 'Maximum time to wait for element in milliseconds (default: 1000)',
+          default: 1000,
+          minimum: 100,
+          maximum: 10000,
+        },
+      },
+      required: ['tab_id', 'selector'],
+    },
+  },
+  {
+    name: 'wait_for',
+    description: 'Wait until an element appears, disappears, becomes visible or enabled, text shows up, the URL matches, a JavaScript condition holds or the network goes idle. Returns which condition was met; use it instead of polling element_exists',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tab_id: {
+          type: 'string',
+          description: 'The ID of the tab',
+        },
+        selector: {
+          type: 'string',
+          description: 'CSS selector ("host >>> inner" reaches into open shadow roots), or xpath=, text= or role= selector of the element to wait for',
+        },
+        state: {
+          type: 'string',
+          enum: ['attached', 'detached', 'visible', 'hidden', 'enabled'],
+          description: 'Element state to wait for: attached (in the DOM), detached (removed), visible, hidden (removed or invisible) or enabled (visible and not disabled). Default: visible',
+          default: 'visible',
+        },
+        text: {
+          type: 'string',
+          description: 'Wait for a visible element showing this text: "quoted" for an exact match, /regex/flags, or any part of the text ignoring case',
+        },
+        url: {
+          type: 'string',
+          description: 'Wait for the tab URL to match: any part of the URL, a "*" glob or /regex/flags',
+        },
+        function: {
+          type: 'string',
+          description: 'JavaScript expression or function (may be async) evaluated in the page until it returns a truthy value, e.g. "window.appReady === true"',
+        },
+        network_idle: {
+          type: 'boolean',
+          description: 'Wait until no network requests are in flight for idle_time milliseconds (default: false)',
+          default: false,
+        },
+        idle_time: {
+          type: 'number',
+          description: 'How long the network must stay idle in milliseconds (default: 500)',
+          default: 500,
+          minimum: 0,
+          maximum: 10000,
+        },
+        frame: frameProperty,
         timeout: {
           type: 'number',
-          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
-          default: 5000,
-          minimum: 1000,
-          maximum: 30000,
+          description: 'Maximum time to wait in milliseconds (default: 10000)',
+          default: 10000,
+          minimum: 100,
+          maximum: 120000,
         },
       },
-      required: ['tab_id', 'selector', 'text'],
+      required: ['tab_id'],
     },
   },
   {
-    name: 'get_element_text',
-    description: 'Get text content from an element using CSS selector',
+    name: 'query_elements',
+    description: 'List every element matching a selector with its text, value, attributes, bounding box, visibility and a unique selector',
     inputSchema: {
       type: 'object',
       properties: {
@@ -89,13 +641,26 @@ export const elementTools = [
         },
         selector: {
           type: 'string',
-          description: 'CSS selector for the element',
+          description: 'CSS selector for the elements ("host >>> inner" reaches into open shadow roots), or xpath=, text= or role= selector',
+        },
+        frame: frameProperty,
+        limit: {
+          type: 'number',
+          description: 'Maximum number of elements to return (default: 50)',
+          default: 50,
+          minimum: 1,
+          maximum: 500,
+        },
+        visible_only: {
+          type: 'boolean',
+          description: 'Only return visible elements (default: false)',
+          default: false,
         },
         timeout: {
           type: 'number',
-          description: 'Maximum time to wait for element in milliseconds (default: 5000)',
-          default: 5000,
-          minimum: 1000,
+          description: 'Wait up to this many milliseconds for a first match (default: 0, no waiting)',
+          default: 0,
+          minimum: 0,
           maximum: 30000,
         },
       },
@@ -103,8 +668,8 @@ export const elementTools = [
     },
   },
   {
-    name: 'element_exists',
-    description: 'Check if an element exists and is visible using CSS selector',
+    name: 'extract_data',
+    description: 'Extract structured records (e.g. table rows or product cards) as a JSON array, optionally following a "next" control across pages',
     inputSchema: {
       type: 'object',
       properties: {
@@ -112,23 +677,92 @@ export const elementTools = [
           type: 'string',
           description: 'The ID of the tab',
         },
-        selector: {
+        row_selector: {
+          type: 'string',
+          description: 'Selector matching one element per record, e.g. "table.results tbody tr" or ".product-card"',
+        },
+        fields: {
+          type: 'object',
+          description: 'Map of field name to a selector inside the row (its text is read) or { selector, attribute, multiple }. attribute is any attribute name, or "text", "value" or "html"; without selector the row itself is read; multiple returns every match as an array. Omit fields to read table rows keyed by their column headers',
+          additionalProperties: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  selector: { type: 'string' },
+                  attribute: { type: 'string' },
+                  multiple: { type: 'boolean' },
+                },
+              },
+            ],
+          },
+        },
+        frame: frameProperty,
+        limit: {
+          type: 'number',
+          description: 'Maximum number of records across all pages (default: 100)',
+          default: 100,
+          minimum: 1,
+          maximum: 5000,
+        },
+        next_selector: {
           type: 'string',
-          description: 'CSS selector for the element',
+          description: 'Selector or hint of the "next page" control to click between pages',
+        },
+        max_pages: {
+          type: 'number',
+          description: 'Maximum number of pages to read when next_selector is set (default: 1)',
+          default: 1,
+          minimum: 1,
+          maximum: 50,
         },
         timeout: {
           type: 'number',
-          description: 'Maximum time to wait for element in milliseconds (default: 1000)',
-          default: 1000,
-          minimum: 100,
-          maximum: 10000,
+          description: 'Maximum time to wait for rows and for each next page to load in milliseconds (default: 5000)',
+          default: 5000,
+          minimum: 1000,
+          maximum: 30000,
         },
       },
-      required: ['tab_id', 'selector'],
+      required: ['tab_id', 'row_selector'],
     },
   },
 ];
 
+// Shape what followed a click or typing (see ChromeController.observeEffects) for tool responses
+function formatEffects(effects) {
+  return {
+    navigation: effects.navigation
+      ? { url: effects.navigation.url, same_document: effects.navigation.sameDocument }
+      : null,
+    dom_mutations: effects.domMutations,
+    dialog: effects.dialog,
+    new_tab: effects.newTab,
+    none: !effects.navigation && !effects.domMutations && !effects.dialog && !effects.newTab,
+  };
+}
+
+// One sentence about those effects for the tool message
+function describeEffects(effects) {
+  const parts = [];
+  if (effects.navigation) {
+    parts.push(`${effects.navigation.sameDocument ? 'URL changed' : 'navigated'} to ${effects.navigation.url}`);
+  }
+  if (effects.dialog) {
+    parts.push(`a dialog (${effects.dialog.type}) opened: "${effects.dialog.message}"`);
+  }
+  if (effects.newTab) {
+    parts.push(`a new tab opened${effects.newTab.url ? ` for ${effects.newTab.url}` : ''}`);
+  }
+  if (effects.domMutations) {
+    parts.push(`${effects.domMutations} DOM change${effects.domMutations === 1 ? '' : 's'}`);
+  }
+  return parts.length > 0
+    ? `Afterwards ${parts.join(', ')}.`
+    : 'No navigation, DOM change, dialog or new tab followed.';
+}
+
 export async function handleElementTool(name, args, chromeController) {
   switch (name) {
     case 'analyze_form': {
@@ -158,10 +792,7 @@ export async function handleElementTool(name, args, chromeController) {
             placeholder: el.placeholder,
             text: el.textContent,
             visible: el.visible,
-            selector: el.id ? `#${el.id}` : 
-                     el.name ? `[name="${el.name}"]` :
-                     el.className ? `.${el.className.split(' ')[0]}` :
-                     el.tagName
+            selector: el.selector,
           })),
           message: `Found ${result.elements.length} form elements`,
         };
@@ -174,22 +805,72 @@ export async function handleElementTool(name, args, chromeController) {
       }
     }
     
+    case 'fill_form': {
+      const { tab_id, fields, form_selector, submit = false } = args;
+
+      try {
+        const result = await chromeController.fillForm(tab_id, fields, { formSelector: form_selector, submit });
+        const count = status => result.fields.filter(field => field.status === status).length;
+        const filled = count('filled');
+
+        return {
+          success: true,
+          form_selector: result.formSelector || undefined,
+          filled_count: filled,
+          skipped_count: count('skipped'),
+          not_found_count: count('not_found'),
+          fields: result.fields.map(field => ({
+            field: field.field,
+            status: field.status,
+            matched_by: field.matchedBy,
+            selector: field.selector,
+            type: field.type,
+            value: field.value,
+            reason: field.reason,
+            available_options: field.available,
+            validation_message: field.validationMessage,
+          })),
+          submitted: result.submitted,
+          submit_method: result.submitMethod,
+          submit_error: result.submitError,
+          invalid_fields: result.invalidFields && result.invalidFields.length > 0 ? result.invalidFields : undefined,
+          message: `Filled ${filled} of ${result.fields.length} fields` +
+            (submit ? (result.submitted ? ' and submitted the form' : `; not submitted: ${result.submitError}`) : ''),
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          form_selector,
+          action: 'fill_form',
+        };
+      }
+    }
+
     case 'click_element': {
-      const { tab_id, selector, timeout = 5000 } = args;
+      const { tab_id, selector, ref, frame, timeout = 5000, force = false } = args;
       
       try {
-        const result = await chromeController.clickElement(tab_id, selector, { timeout });
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController.clickElement(tab_id, selector, { timeout, ref, frame, force });
         const message = result.discovery 
-          ? `Smart discovery: ${result.discovery}. Successfully clicked at (${result.coordinates.x}, ${result.coordinates.y})`
-          : `Successfully clicked element '${selector}' at coordinates (${result.coordinates.x}, ${result.coordinates.y})`;
+          ? `Smart discovery: ${result.discovery}. Successfully clicked at (${result.coordinates.x}, ${result.coordinates.y}). ${describeEffects(result.effects)}`
+          : `Successfully clicked element '${selector || ref}' at coordinates (${result.coordinates.x}, ${result.coordinates.y}). ${describeEffects(result.effects)}`;
         
         return {
           success: true,
           action: 'clicked',
           selector: result.selector,
+          ref,
           originalHint: result.originalHint,
           discovery: result.discovery,
+          alternatives: result.alternatives,
+          frame_url: result.frameUrl,
           coordinates: result.coordinates,
+          effects: formatEffects(result.effects),
           message,
         };
       } catch (error) {
@@ -197,28 +878,139 @@ export async function handleElementTool(name, args, chromeController) {
           success: false,
           error: error.message,
           selector,
+          ref,
+          frame,
           action: 'click',
         };
       }
     }
 
+    case 'hover_element':
+    case 'double_click':
+    case 'right_click': {
+      const { tab_id, selector, ref, modifiers = [], timeout = 5000, force = false } = args;
+      const actions = {
+        hover_element: { method: 'hoverElement', past: 'hovered', verb: 'Hovered over' },
+        double_click: { method: 'doubleClickElement', past: 'double_clicked', verb: 'Double-clicked' },
+        right_click: { method: 'rightClickElement', past: 'right_clicked', verb: 'Right-clicked' },
+      };
+      const action = actions[name];
+
+      try {
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController[action.method](tab_id, selector, { timeout, ref, modifiers, force });
+        const message = result.discovery
+          ? `Smart discovery: ${result.discovery}. ${action.verb} at (${result.coordinates.x}, ${result.coordinates.y})`
+          : `${action.verb} element '${selector || ref}' at coordinates (${result.coordinates.x}, ${result.coordinates.y})`;
+
+        return {
+          success: true,
+          action: action.past,
+          selector: result.selector,
+          ref,
+          originalHint: result.originalHint,
+          discovery: result.discovery,
+          alternatives: result.alternatives,
+          coordinates: result.coordinates,
+          modifiers: modifiers.length > 0 ? modifiers : undefined,
+          message,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          ref,
+          action: name,
+        };
+      }
+    }
+
+    case 'drag_and_drop': {
+      const {
+        tab_id,
+        source_selector,
+        source_ref,
+        source_x,
+        source_y,
+        target_selector,
+        target_ref,
+        target_x,
+        target_y,
+        steps = 10,
+        timeout = 5000,
+      } = args;
+
+      try {
+        const result = await chromeController.dragAndDrop(
+          tab_id,
+          { selector: source_selector, ref: source_ref, x: source_x, y: source_y },
+          { selector: target_selector, ref: target_ref, x: target_x, y: target_y },
+          { steps, timeout }
+        );
+        const describe = point => point.selector || `(${Math.round(point.x)}, ${Math.round(point.y)})`;
+
+        return {
+          success: true,
+          action: 'dragged',
+          source: {
+            selector: result.source.selector || undefined,
+            coordinates: { x: result.source.x, y: result.source.y },
+          },
+          target: {
+            selector: result.target.selector || undefined,
+            coordinates: { x: result.target.x, y: result.target.y },
+          },
+          steps: result.steps,
+          method: result.method,
+          message: `Dragged ${describe(result.source)} to ${describe(result.target)}`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          source_selector,
+          target_selector,
+          action: 'drag_and_drop',
+        };
+      }
+    }
+
     case 'type_text': {
-      const { tab_id, selector, text, clear = true, timeout = 5000 } = args;
+      const { tab_id, selector, ref, frame, text, clear = true, timeout = 5000, delay_ms } = args;
       
       try {
-        const result = await chromeController.typeText(tab_id, selector, text, { clear, timeout });
-        const message = result.discovery
-          ? `Smart discovery: ${result.discovery}. Successfully typed text`
-          : `Successfully typed text into element '${selector}'`;
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController.typeText(tab_id, selector, text, { clear, timeout, ref, frame, delay: delay_ms });
+        const typed = result.discovery
+          ? `Smart discovery: ${result.discovery}. Typed text`
+          : `Typed text into element '${selector || ref}'`;
+        const check = result.verified === false
+          ? ` but the field ${result.actualValue === null ? 'did not match it when read back' : `now contains "${result.actualValue}"`}`
+          : '';
+        const message = `${typed}${check}. ${describeEffects(result.effects)}`;
         
         return {
           success: true,
           action: 'typed',
           selector: result.selector,
+          ref,
           originalHint: result.originalHint,
           discovery: result.discovery,
+          alternatives: result.alternatives,
+          frame_url: result.frameUrl,
           text_preview: result.text,
           clear_before_typing: clear,
+          value_verified: result.verified,
+          actual_value: result.actualValue,
+          method: result.method,
+          effects: formatEffects(result.effects),
           message,
         };
       } catch (error) {
@@ -226,19 +1018,263 @@ export async function handleElementTool(name, args, chromeController) {
           success: false,
           error: error.message,
           selector,
+          ref,
+          frame,
           action: 'type',
         };
       }
     }
 
+    case 'select_option': {
+      const { tab_id, selector, ref, values = [], labels = [], indexes = [], timeout = 5000 } = args;
+
+      try {
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController.selectOption(tab_id, selector, { values, labels, indexes }, { timeout, ref });
+        const selectedLabels = result.selected.map(option => `"${option.label}"`).join(', ');
+
+        return {
+          success: true,
+          action: 'selected',
+          selector: result.selector,
+          ref,
+          originalHint: result.originalHint,
+          discovery: result.discovery,
+          alternatives: result.alternatives,
+          multiple: result.multiple,
+          selected: result.selected,
+          message: result.discovery
+            ? `Smart discovery: ${result.discovery}. Selected ${selectedLabels}`
+            : `Selected ${selectedLabels} in '${selector || ref}'`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          available_options: error.available,
+          selector,
+          ref,
+          action: 'select_option',
+        };
+      }
+    }
+
+    case 'set_checked': {
+      const { tab_id, selector, ref, checked = true, timeout = 5000 } = args;
+
+      try {
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController.setChecked(tab_id, selector, checked, { timeout, ref });
+        const state = result.checked ? 'checked' : 'unchecked';
+
+        return {
+          success: true,
+          action: state,
+          selector: result.selector,
+          ref,
+          originalHint: result.originalHint,
+          discovery: result.discovery,
+          alternatives: result.alternatives,
+          kind: result.kind,
+          checked: result.checked,
+          changed: result.changed,
+          message: result.changed
+            ? `${result.kind} '${result.selector}' is now ${state}`
+            : `${result.kind} '${result.selector}' was already ${state}`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          ref,
+          action: 'set_checked',
+        };
+      }
+    }
+
+    case 'upload_file': {
+      const { tab_id, selector, ref, files, timeout = 5000 } = args;
+
+      try {
+        if (!selector && !ref) {
+          throw new Error('Either selector or ref is required');
+        }
+
+        const result = await chromeController.uploadFile(tab_id, selector, files, { timeout, ref });
+
+        return {
+          success: true,
+          action: 'uploaded',
+          selector: result.selector,
+          ref,
+          originalHint: result.originalHint,
+          discovery: result.discovery,
+          alternatives: result.alternatives,
+          accept: result.accept || undefined,
+          files: result.files.map(file => ({
+            path: file.path,
+            name: file.name,
+            size_bytes: file.size,
+          })),
+          message: `Attached ${result.files.length} file(s) to '${result.selector}'`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          ref,
+          files,
+          action: 'upload_file',
+        };
+      }
+    }
+
+    case 'press_key': {
+      const { tab_id, key, selector, ref, repeat = 1, delay_ms = 0, timeout = 5000 } = args;
+
+      try {
+        const result = await chromeController.pressKey(tab_id, key, {
+          selector,
+          ref,
+          repeat,
+          delay: delay_ms,
+          timeout,
+        });
+        const active = result.activeElement;
+
+        return {
+          success: true,
+          action: 'pressed',
+          key: result.key,
+          modifiers: result.modifiers,
+          repeat: result.repeat,
+          selector: result.selector || undefined,
+          ref,
+          focused_element: active ? {
+            tag_name: active.tagName,
+            id: active.id || undefined,
+            name: active.name || undefined,
+            type: active.type || undefined,
+            text: active.text || undefined,
+          } : null,
+          message: `Pressed ${key}${repeat > 1 ? ` ${repeat} times` : ''}`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          key,
+          selector,
+          ref,
+          action: 'press_key',
+        };
+      }
+    }
+
+    case 'scroll': {
+      const { tab_id, to, delta_x = 0, delta_y = 0, selector, ref, container, frame, timeout = 5000 } = args;
+
+      try {
+        const result = await chromeController.scroll(tab_id, {
+          to,
+          deltaX: delta_x,
+          deltaY: delta_y,
+          selector,
+          ref,
+          container,
+          frame,
+          timeout,
+        });
+        return {
+          success: true,
+          action: 'scrolled',
+          selector: result.selector,
+          ref,
+          originalHint: result.originalHint,
+          discovery: result.discovery,
+          frame_url: result.frameUrl,
+          container: result.container,
+          position: result.position,
+          max_scroll: result.maxScroll,
+          scrolled_by: result.scrolledBy,
+          at_top: result.atTop,
+          at_bottom: result.atBottom,
+          in_view: result.inView,
+          method: result.method,
+          message: `Scrolled the ${result.container} by (${result.scrolledBy.x}, ${result.scrolledBy.y}) to (${result.position.x}, ${result.position.y})`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          ref,
+          container,
+          frame,
+          action: 'scroll',
+        };
+      }
+    }
+
+    case 'scroll_until': {
+      const { tab_id, selector, item_selector, container, frame, direction = 'down', step, max_scrolls = 20, wait_ms = 500 } = args;
+
+      try {
+        const result = await chromeController.scrollUntil(tab_id, {
+          selector,
+          itemSelector: item_selector,
+          container,
+          frame,
+          direction,
+          step,
+          maxScrolls: max_scrolls,
+          wait: wait_ms,
+        });
+        return {
+          success: true,
+          action: 'scrolled',
+          stop_reason: result.stopReason,
+          found: result.found,
+          scrolls: result.scrolls,
+          item_count: result.itemCount,
+          initial_item_count: result.initialItemCount,
+          frame_url: result.frameUrl,
+          container: result.container,
+          position: result.position,
+          max_scroll: result.maxScroll,
+          message: `Scrolled ${result.scrolls} time${result.scrolls === 1 ? '' : 's'}, stopped: ${result.stopReason}` +
+            (item_selector ? ` (${result.itemCount} items)` : ''),
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          item_selector,
+          container,
+          frame,
+          action: 'scroll_until',
+        };
+      }
+    }
+
     case 'get_element_text': {
-      const { tab_id, selector, timeout = 5000 } = args;
+      const { tab_id, selector, frame, timeout = 5000 } = args;
       
       try {
-        const result = await chromeController.getElementText(tab_id, selector, { timeout });
+        const result = await chromeController.getElementText(tab_id, selector, { timeout, frame });
         return {
           success: true,
           selector: result.selector,
+          frame_url: result.frameUrl,
           element: {
             text_content: result.element.text,
             inner_text: result.element.innerText,
@@ -253,19 +1289,21 @@ export async function handleElementTool(name, args, chromeController) {
           success: false,
           error: error.message,
           selector,
+          frame,
           action: 'get_text',
         };
       }
     }
 
     case 'element_exists': {
-      const { tab_id, selector, timeout = 1000 } = args;
+      const { tab_id, selector, frame, timeout = 1000 } = args;
       
       try {
-        const result = await chromeController.elementExists(tab_id, selector, { timeout });
+        const result = await chromeController.elementExists(tab_id, selector, { timeout, frame });
         return {
           success: true,
           selector: result.selector,
+          frame_url: result.frameUrl,
           exists: result.exists,
           visible: result.visible,
           styles: result.styles,
@@ -278,11 +1316,120 @@ export async function handleElementTool(name, args, chromeController) {
           success: false,
           error: error.message,
           selector,
+          frame,
           action: 'check_existence',
         };
       }
     }
 
+    case 'wait_for': {
+      const { tab_id, selector, state = 'visible', text, url, network_idle = false, idle_time = 500, frame, timeout = 10000 } = args;
+
+      try {
+        const result = await chromeController.waitFor(tab_id, {
+          selector,
+          state,
+          text,
+          url,
+          predicate: args.function,
+          networkIdle: network_idle,
+          idleTime: idle_time,
+        }, { frame, timeout });
+        return {
+          success: true,
+          condition: result.condition,
+          elapsed_ms: result.elapsed,
+          selector: result.selector,
+          state: result.state,
+          text: result.text,
+          url: result.url,
+          value: result.value,
+          frame_url: result.frameUrl,
+          message: `Condition '${result.condition}' met after ${result.elapsed}ms`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          text,
+          url,
+          frame,
+          action: 'wait_for',
+        };
+      }
+    }
+
+    case 'query_elements': {
+      const { tab_id, selector, frame, limit = 50, visible_only = false, timeout = 0 } = args;
+
+      try {
+        const result = await chromeController.queryElements(tab_id, selector, { frame, limit, visibleOnly: visible_only, timeout });
+        return {
+          success: true,
+          selector: result.selector,
+          frame_url: result.frameUrl,
+          total: result.total,
+          count: result.elements.length,
+          truncated: result.total > result.elements.length,
+          elements: result.elements.map(element => ({
+            index: element.index,
+            tag_name: element.tagName,
+            text: element.text,
+            value: element.value,
+            attributes: element.attributes,
+            visible: element.visible,
+            bounds: element.bounds,
+            selector: element.selector,
+          })),
+          message: `Found ${result.total} element${result.total === 1 ? '' : 's'} matching '${selector}'` +
+            (result.total > result.elements.length ? `, returning the first ${result.elements.length}` : ''),
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          selector,
+          frame,
+          action: 'query_elements',
+        };
+      }
+    }
+
+    case 'extract_data': {
+      const { tab_id, row_selector, fields, frame, limit = 100, next_selector, max_pages = 1, timeout = 5000 } = args;
+
+      try {
+        const result = await chromeController.extractData(tab_id, row_selector, {
+          fields,
+          frame,
+          limit,
+          nextSelector: next_selector,
+          maxPages: max_pages,
+          timeout,
+        });
+        return {
+          success: true,
+          row_selector: result.rowSelector,
+          frame_url: result.frameUrl,
+          count: result.records.length,
+          pages: result.pages,
+          stop_reason: result.stopReason,
+          truncated: result.truncated,
+          records: result.records,
+          message: `Extracted ${result.records.length} record${result.records.length === 1 ? '' : 's'} from ${result.pages} page${result.pages === 1 ? '' : 's'}`,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          row_selector,
+          frame,
+          action: 'extract_data',
+        };
+      }
+    }
+
     default:
       throw new Error(`Unknown element tool: ${name}`);
   }
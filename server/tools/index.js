@@ -2,6 +2,8 @@ import { navigationTools, handleNavigationTool } from './navigation.js';
 import { tabTools, handleTabTool } from './tabs.js';
 import { contentTools, handleContentTool } from './content.js';
 import { elementTools, handleElementTool } from './elements.js';
+import { debuggingTools, handleDebuggingTool } from './debugging.js';
+import { dialogTools, handleDialogTool, formatDialog } from './dialogs.js';
 
 // Combine all tools
 export const allTools = [
@@ -9,10 +11,24 @@ export const allTools = [
   ...tabTools,
   ...contentTools,
   ...elementTools,
+  ...debuggingTools,
+  ...dialogTools,
 ];
 
-// Route tool calls to appropriate handlers
+// Route tool calls to appropriate handlers, reporting JavaScript dialogs that opened meanwhile
+// (in the call's tab, or in any tab for calls without one)
 export async function handleToolCall(name, args, chromeController) {
+  const dialogCursor = chromeController.dialogCursor();
+  const result = await routeToolCall(name, args, chromeController);
+
+  const dialogs = chromeController.dialogsSince(dialogCursor, args && args.tab_id);
+  if (dialogs.length > 0 && result && typeof result === 'object') {
+    result.dialogs = dialogs.map(formatDialog);
+  }
+  return result;
+}
+
+async function routeToolCall(name, args, chromeController) {
   try {
     // Navigation tools
     if (navigationTools.some(tool => tool.name === name)) {
@@ -34,6 +50,16 @@ export async function handleToolCall(name, args, chromeController) {
       return await handleElementTool(name, args, chromeController);
     }
     
+    // Network and console debugging tools
+    if (debuggingTools.some(tool => tool.name === name)) {
+      return await handleDebuggingTool(name, args, chromeController);
+    }
+    
+    // JavaScript dialog tools
+    if (dialogTools.some(tool => tool.name === name)) {
+      return await handleDialogTool(name, args, chromeController);
+    }
+    
     throw new Error(`Unknown tool: ${name}`);
     
   } catch (error) {
@@ -56,8 +82,12 @@ export {
   tabTools, 
   contentTools,
   elementTools,
+  debuggingTools,
+  dialogTools,
   handleNavigationTool,
   handleTabTool,
   handleContentTool,
   handleElementTool,
+  handleDebuggingTool,
+  handleDialogTool,
 };
\ No newline at end of file
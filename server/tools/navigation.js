@@ -1,3 +1,20 @@
+// Shared wait options for every tool that starts a navigation
+export const navigationWaitProperties = {
+  wait_until: {
+    type: 'string',
+    enum: ['load', 'domcontentloaded', 'networkidle', 'none'],
+    description: 'Page state to wait for before returning (default: load)',
+    default: 'load',
+  },
+  timeout: {
+    type: 'number',
+    description: 'Maximum time to wait for the navigation in milliseconds (default: 30000)',
+    default: 30000,
+    minimum: 1000,
+    maximum: 120000,
+  },
+};
+
 export const navigationTools = [
   {
     name: 'open_url',
@@ -14,6 +31,7 @@ export const navigationTools = [
           description: 'Open in a new tab (default: true)',
           default: true,
         },
+        ...navigationWaitProperties,
       },
       required: ['url'],
     },
@@ -32,6 +50,7 @@ export const navigationTools = [
           type: 'string',
           description: 'The URL to navigate to',
         },
+        ...navigationWaitProperties,
       },
       required: ['tab_id', 'url'],
     },
@@ -46,6 +65,7 @@ export const navigationTools = [
           type: 'string',
           description: 'The ID of the tab',
         },
+        ...navigationWaitProperties,
       },
       required: ['tab_id'],
     },
@@ -60,38 +80,77 @@ export const navigationTools = [
           type: 'string',
           description: 'The ID of the tab',
         },
+        ...navigationWaitProperties,
       },
       required: ['tab_id'],
     },
   },
 ];
 
+// Shape the result of a waited navigation for tool responses
+export function formatNavigation(navigation) {
+  return {
+    final_url: navigation.url,
+    status: navigation.status,
+    redirects: navigation.redirects,
+    wait_until: navigation.waitUntil,
+    same_document: navigation.sameDocument,
+  };
+}
+
 export async function handleNavigationTool(name, args, chromeController) {
   switch (name) {
     case 'open_url': {
-      const { url, new_tab = true } = args;
+      const { url, new_tab = true, wait_until = 'load', timeout } = args;
+      const waitOptions = { waitUntil: wait_until, timeout };
       
       if (!url.startsWith('http://') && !url.startsWith('https://')) {
         throw new Error('URL must start with http:// or https://');
       }
 
       if (new_tab) {
-        const tab = await chromeController.createTab(url);
+        if (wait_until === 'none') {
+          const tab = await chromeController.createTab(url);
+          return {
+            success: true,
+            tab_id: tab.id,
+            url: url,
+            message: `Opened ${url} in new tab`,
+          };
+        }
+
+        // Open blank first so the navigation can be observed from the start
+        const tab = await chromeController.createTab('about:blank');
+        let navigation;
+        try {
+          navigation = await chromeController.navigateTab(tab.id, url, waitOptions);
+        } catch (error) {
+          // The tab stays open (it may still be loading), so say which one it is
+          return {
+            success: false,
+            error: error.message,
+            tab_id: tab.id,
+            url: url,
+            message: `Opened tab ${tab.id} but loading ${url} failed: ${error.message}`,
+          };
+        }
         return {
           success: true,
           tab_id: tab.id,
           url: url,
+          ...formatNavigation(navigation),
           message: `Opened ${url} in new tab`,
         };
       } else {
         const targets = await chromeController.getTargets();
         const activeTab = targets.find(t => t.type === 'page');
         if (activeTab) {
-          await chromeController.navigateTab(activeTab.id, url);
+          const navigation = await chromeController.navigateTab(activeTab.id, url, waitOptions);
           return {
             success: true,
             tab_id: activeTab.id,
             url: url,
+            ...formatNavigation(navigation),
             message: `Navigated current tab to ${url}`,
           };
         } else {
@@ -107,31 +166,32 @@ export async function handleNavigationTool(name, args, chromeController) {
     }
 
     case 'navigate_to': {
-      const { tab_id, url } = args;
+      const { tab_id, url, wait_until = 'load', timeout } = args;
       
       if (!url.startsWith('http://') && !url.startsWith('https://')) {
         throw new Error('URL must start with http:// or https://');
       }
 
-      await chromeController.navigateTab(tab_id, url);
+      const navigation = await chromeController.navigateTab(tab_id, url, { waitUntil: wait_until, timeout });
       return {
         success: true,
         tab_id: tab_id,
         url: url,
+        ...formatNavigation(navigation),
         message: `Navigated tab ${tab_id} to ${url}`,
       };
     }
 
     case 'go_back': {
-      const { tab_id } = args;
-      const response = await chromeController.goBack(tab_id);
-      return response;
+      const { tab_id, wait_until = 'load', timeout } = args;
+      const response = await chromeController.goBack(tab_id, { waitUntil: wait_until, timeout });
+      return response.success ? { success: true, ...formatNavigation(response) } : response;
     }
 
     case 'go_forward': {
-      const { tab_id } = args;
-      const response = await chromeController.goForward(tab_id);
-      return response;
+      const { tab_id, wait_until = 'load', timeout } = args;
+      const response = await chromeController.goForward(tab_id, { waitUntil: wait_until, timeout });
+      return response.success ? { success: true, ...formatNavigation(response) } : response;
     }
 
     default:
@@ -1,3 +1,5 @@
+import { navigationWaitProperties, formatNavigation } from './navigation.js';
+
 export const tabTools = [
   {
     name: 'list_tabs',
@@ -53,6 +55,7 @@ export const tabTools = [
           type: 'string',
           description: 'The ID of the tab to reload',
         },
+        ...navigationWaitProperties,
       },
       required: ['tab_id'],
     },
@@ -129,10 +132,11 @@ export async function handleTabTool(name, args, chromeController) {
     }
 
     case 'reload_tab': {
-      const { tab_id } = args;
-      await chromeController.reloadTab(tab_id);
+      const { tab_id, wait_until = 'load', timeout } = args;
+      const navigation = await chromeController.reloadTab(tab_id, { waitUntil: wait_until, timeout });
       return {
         success: true,
+        ...formatNavigation(navigation),
         message: `Tab ${tab_id} reloaded`,
       };
     }
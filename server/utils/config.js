@@ -1,6 +1,9 @@
 import os from 'os';
 import path from 'path';
 
+// What happens to JavaScript dialogs: accepted, dismissed or left open for handle_dialog
+export const DIALOG_POLICIES = ['accept', 'dismiss', 'queue'];
+
 /**
  * Get configuration from environment variables with defaults
  */
@@ -13,6 +16,13 @@ export function getConfig() {
     timeout: process.env.TIMEOUT ? parseInt(process.env.TIMEOUT) : 30000,
     isolated_profile: process.env.ISOLATED_PROFILE !== 'false',
     user_data_dir: process.env.USER_DATA_DIR || null,
+    session_idle_ttl: process.env.SESSION_IDLE_TTL ? parseInt(process.env.SESSION_IDLE_TTL) : 300000,
+    console_buffer_size: process.env.CONSOLE_BUFFER_SIZE ? parseInt(process.env.CONSOLE_BUFFER_SIZE) : 1000,
+    max_inline_image_bytes: process.env.MAX_INLINE_IMAGE_BYTES ? parseInt(process.env.MAX_INLINE_IMAGE_BYTES) : 1048576,
+    screenshot_dir: process.env.SCREENSHOT_DIR || null,
+    screenshot_retention_hours: process.env.SCREENSHOT_RETENTION_HOURS ? parseFloat(process.env.SCREENSHOT_RETENTION_HOURS) : 24,
+    screenshot_max_total_mb: process.env.SCREENSHOT_MAX_TOTAL_MB ? parseFloat(process.env.SCREENSHOT_MAX_TOTAL_MB) : 500,
+    dialog_policy: process.env.DIALOG_POLICY || 'queue',
   };
 }
 
@@ -38,6 +48,34 @@ export function validateConfig(config) {
     errors.push('user_data_dir must be a string');
   }
   
+  if (config.session_idle_ttl < 0) {
+    errors.push('session_idle_ttl must be 0 (never expire) or a positive number of milliseconds');
+  }
+  
+  if (config.console_buffer_size < 10 || config.console_buffer_size > 100000) {
+    errors.push('console_buffer_size must be between 10 and 100000 entries');
+  }
+  
+  if (config.max_inline_image_bytes < 10240 || config.max_inline_image_bytes > 10485760) {
+    errors.push('max_inline_image_bytes must be between 10240 (10KB) and 10485760 (10MB)');
+  }
+  
+  if (config.screenshot_dir && typeof config.screenshot_dir !== 'string') {
+    errors.push('screenshot_dir must be a string');
+  }
+  
+  if (!(config.screenshot_retention_hours >= 0)) {
+    errors.push('screenshot_retention_hours must be 0 (keep forever) or a positive number of hours');
+  }
+  
+  if (!(config.screenshot_max_total_mb >= 0)) {
+    errors.push('screenshot_max_total_mb must be 0 (no limit) or a positive number of megabytes');
+  }
+  
+  if (!DIALOG_POLICIES.includes(config.dialog_policy)) {
+    errors.push(`dialog_policy must be one of: ${DIALOG_POLICIES.join(', ')}`);
+  }
+  
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
   }
@@ -146,6 +146,20 @@ export function validateTabId(tabId) {
   return true;
 }
 
+/**
+ * Key under which tool results carry MCP image content blocks.
+ * Symbol keys are skipped by JSON.stringify, so images stay out of the text block.
+ */
+export const IMAGE_CONTENT = Symbol('imageContent');
+
+/**
+ * Attach base64 images ({ data, mimeType }) to a tool result
+ */
+export function attachImageContent(result, images) {
+  result[IMAGE_CONTENT] = images;
+  return result;
+}
+
 /**
  * Create a standardized error response
  */
@@ -0,0 +1,207 @@
+import { PNG } from 'pngjs';
+
+/**
+ * Pixel diffing for PNG screenshots.
+ *
+ * Pixels are compared by their largest per-channel difference (0-1). Changed
+ * pixels are grouped on a coarse grid and neighbouring cells are merged so the
+ * result is a handful of bounding boxes rather than thousands of pixels.
+ */
+
+const DEFAULT_THRESHOLD = 0.1;
+const DEFAULT_CELL_SIZE = 16;
+const MAX_REGIONS = 50;
+
+export function decodePng(buffer) {
+  try {
+    return PNG.sync.read(buffer);
+  } catch (error) {
+    throw new Error(`Could not decode PNG image: ${error.message}`);
+  }
+}
+
+export function encodePng(image) {
+  return PNG.sync.write(image);
+}
+
+/**
+ * Compare two decoded PNG images.
+ * - threshold: per-pixel colour difference (0-1) tolerated before a pixel counts as changed
+ * - ignoreRegions: [{ x, y, width, height }] in image pixels that are excluded from the comparison
+ * - cellSize: grid size in pixels used to group changed pixels into regions
+ *
+ * Images of different sizes are compared over the larger size; pixels that
+ * only exist in one image count as changed.
+ */
+export function diffImages(before, after, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+  const ignoreRegions = options.ignoreRegions || [];
+
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const diff = new PNG({ width, height });
+
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Map();
+
+  const ignored = ignoreMask(width, height, ignoreRegions);
+  let mismatchedPixels = 0;
+  let comparedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      const beforePixel = pixelAt(before, x, y);
+      const afterPixel = pixelAt(after, x, y);
+
+      if (ignored[y * width + x]) {
+        // Ignored areas are drawn faded yellow so they are visible in the diff
+        writePixel(diff, index, fade(afterPixel || beforePixel, [255, 230, 120]));
+        continue;
+      }
+
+      comparedPixels++;
+      const changed = !beforePixel || !afterPixel || pixelDelta(beforePixel, afterPixel) > threshold;
+
+      if (!changed) {
+        writePixel(diff, index, fade(afterPixel, [255, 255, 255]));
+        continue;
+      }
+
+      mismatchedPixels++;
+      writePixel(diff, index, [255, 0, 0, 255]);
+
+      const cellKey = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+      const cell = cells.get(cellKey);
+      if (cell) {
+        cell.minX = Math.min(cell.minX, x);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.minY = Math.min(cell.minY, y);
+        cell.maxY = Math.max(cell.maxY, y);
+        cell.pixels++;
+      } else {
+        cells.set(cellKey, { minX: x, maxX: x, minY: y, maxY: y, pixels: 1 });
+      }
+    }
+  }
+
+  const regions = mergeCells(cells, columns, rows);
+
+  return {
+    diff,
+    width,
+    height,
+    sizeMismatch: before.width !== after.width || before.height !== after.height,
+    comparedPixels,
+    mismatchedPixels,
+    mismatchPercentage: comparedPixels > 0
+      ? Math.round((mismatchedPixels / comparedPixels) * 100 * 1000) / 1000
+      : 0,
+    regions: regions.slice(0, MAX_REGIONS),
+    totalRegions: regions.length,
+  };
+}
+
+function pixelAt(image, x, y) {
+  if (x >= image.width || y >= image.height) return null;
+  const index = (y * image.width + x) * 4;
+  return [image.data[index], image.data[index + 1], image.data[index + 2], image.data[index + 3]];
+}
+
+function pixelDelta(a, b) {
+  return Math.max(
+    Math.abs(a[0] - b[0]),
+    Math.abs(a[1] - b[1]),
+    Math.abs(a[2] - b[2]),
+    Math.abs(a[3] - b[3])
+  ) / 255;
+}
+
+// Blend a pixel's grey value towards a tint so unchanged areas stay recognizable but muted
+function fade(pixel, tint) {
+  if (!pixel) return [tint[0], tint[1], tint[2], 255];
+  const grey = 0.299 * pixel[0] + 0.587 * pixel[1] + 0.114 * pixel[2];
+  const mix = 0.3 * grey / 255;
+  return [
+    Math.round(tint[0] * (0.7 + mix)),
+    Math.round(tint[1] * (0.7 + mix)),
+    Math.round(tint[2] * (0.7 + mix)),
+    255,
+  ].map(value => Math.min(255, value));
+}
+
+function writePixel(image, index, [r, g, b, a]) {
+  image.data[index] = r;
+  image.data[index + 1] = g;
+  image.data[index + 2] = b;
+  image.data[index + 3] = a;
+}
+
+function ignoreMask(width, height, regions) {
+  const mask = new Uint8Array(width * height);
+
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x));
+    const top = Math.max(0, Math.floor(region.y));
+    const right = Math.min(width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(height, Math.ceil(region.y + region.height));
+
+    for (let y = top; y < bottom; y++) {
+      mask.fill(1, y * width + left, y * width + right);
+    }
+  }
+
+  return mask;
+}
+
+// Merge touching grid cells (including diagonals) into bounding boxes, largest first
+function mergeCells(cells, columns, rows) {
+  const visited = new Set();
+  const regions = [];
+
+  for (const start of cells.keys()) {
+    if (visited.has(start)) continue;
+
+    const region = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, pixels: 0 };
+    const stack = [start];
+    visited.add(start);
+
+    while (stack.length > 0) {
+      const key = stack.pop();
+      const cell = cells.get(key);
+      region.minX = Math.min(region.minX, cell.minX);
+      region.minY = Math.min(region.minY, cell.minY);
+      region.maxX = Math.max(region.maxX, cell.maxX);
+      region.maxY = Math.max(region.maxY, cell.maxY);
+      region.pixels += cell.pixels;
+
+      const column = key % columns;
+      const row = Math.floor(key / columns);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbourColumn = column + dx;
+          const neighbourRow = row + dy;
+          if (neighbourColumn < 0 || neighbourColumn >= columns || neighbourRow < 0 || neighbourRow >= rows) continue;
+
+          const neighbour = neighbourRow * columns + neighbourColumn;
+          if (cells.has(neighbour) && !visited.has(neighbour)) {
+            visited.add(neighbour);
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+      pixels: region.pixels,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
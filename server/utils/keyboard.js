@@ -0,0 +1,218 @@
+/**
+ * US keyboard layout and key chord parsing for Input.dispatchKeyEvent.
+ *
+ * Each definition carries the DOM `key`, the physical `code`, the Windows
+ * virtual key code Chrome uses for keydown/keyup, and the `text` the key
+ * inserts (if any).
+ */
+
+// Input.dispatchKeyEvent modifier bits
+export const MODIFIER_BITS = {
+  Alt: 1,
+  Control: 2,
+  Meta: 4,
+  Shift: 8,
+};
+
+// Order modifiers are pressed in; released in reverse
+const MODIFIER_ORDER = ['Control', 'Alt', 'Meta', 'Shift'];
+
+const KEY_DEFINITIONS = {};
+
+function define(key, code, keyCode, extra = {}) {
+  KEY_DEFINITIONS[key] = { key, code, keyCode, ...extra };
+}
+
+// Letters: lowercase is the plain key, uppercase needs Shift
+for (let index = 0; index < 26; index++) {
+  const lower = String.fromCharCode(97 + index);
+  const upper = lower.toUpperCase();
+  define(lower, `Key${upper}`, 65 + index, { text: lower, shifted: upper });
+  define(upper, `Key${upper}`, 65 + index, { text: upper, shift: true });
+}
+
+// Digits and punctuation with their shifted characters
+[
+  ['1', '!', 'Digit1', 49], ['2', '@', 'Digit2', 50], ['3', '#', 'Digit3', 51],
+  ['4', '$', 'Digit4', 52], ['5', '%', 'Digit5', 53], ['6', '^', 'Digit6', 54],
+  ['7', '&', 'Digit7', 55], ['8', '*', 'Digit8', 56], ['9', '(', 'Digit9', 57],
+  ['0', ')', 'Digit0', 48], ['-', '_', 'Minus', 189], ['=', '+', 'Equal', 187],
+  ['[', '{', 'BracketLeft', 219], [']', '}', 'BracketRight', 221], ['\\', '|', 'Backslash', 220],
+  [';', ':', 'Semicolon', 186], ["'", '"', 'Quote', 222], [',', '<', 'Comma', 188],
+  ['.', '>', 'Period', 190], ['/', '?', 'Slash', 191], ['`', '~', 'Backquote', 192],
+].forEach(([plain, shifted, code, keyCode]) => {
+  define(plain, code, keyCode, { text: plain, shifted });
+  define(shifted, code, keyCode, { text: shifted, shift: true });
+});
+
+define(' ', 'Space', 32, { text: ' ' });
+define('Enter', 'Enter', 13, { text: '\r' });
+define('Tab', 'Tab', 9);
+define('Backspace', 'Backspace', 8);
+define('Delete', 'Delete', 46);
+define('Escape', 'Escape', 27);
+define('Insert', 'Insert', 45);
+define('Home', 'Home', 36);
+define('End', 'End', 35);
+define('PageUp', 'PageUp', 33);
+define('PageDown', 'PageDown', 34);
+define('ArrowLeft', 'ArrowLeft', 37);
+define('ArrowUp', 'ArrowUp', 38);
+define('ArrowRight', 'ArrowRight', 39);
+define('ArrowDown', 'ArrowDown', 40);
+define('CapsLock', 'CapsLock', 20);
+define('ContextMenu', 'ContextMenu', 93);
+define('Shift', 'ShiftLeft', 16, { location: 1 });
+define('Control', 'ControlLeft', 17, { location: 1 });
+define('Alt', 'AltLeft', 18, { location: 1 });
+define('Meta', 'MetaLeft', 91, { location: 1 });
+
+for (let index = 1; index <= 12; index++) {
+  define(`F${index}`, `F${index}`, 111 + index);
+}
+
+// Alternative names accepted in chords (compared case-insensitively)
+const KEY_ALIASES = {
+  ctrl: 'Control',
+  control: 'Control',
+  cmd: 'Meta',
+  command: 'Meta',
+  meta: 'Meta',
+  win: 'Meta',
+  super: 'Meta',
+  alt: 'Alt',
+  option: 'Alt',
+  opt: 'Alt',
+  shift: 'Shift',
+  esc: 'Escape',
+  return: 'Enter',
+  space: ' ',
+  spacebar: ' ',
+  del: 'Delete',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  pgup: 'PageUp',
+  pgdn: 'PageDown',
+  plus: '+',
+};
+
+const NAMED_KEYS = new Map(Object.keys(KEY_DEFINITIONS)
+  .filter(key => key.length > 1)
+  .map(key => [key.toLowerCase(), key]));
+
+// Chrome on macOS only runs editing shortcuts when the matching commands are sent along
+const MAC_EDITING_COMMANDS = {
+  'Meta+a': ['selectAll'],
+  'Meta+c': ['copy'],
+  'Meta+x': ['cut'],
+  'Meta+v': ['paste'],
+  'Meta+z': ['undo'],
+  'Meta+Shift+z': ['redo'],
+};
+
+/**
+ * Parse a chord like "Enter", "Shift+Tab", "Control+K" or "Meta+Shift+z"
+ * (spaces around "+" are ignored). "ControlOrMeta" (or "Mod") means Meta on
+ * macOS and Control elsewhere.
+ * Returns the modifier key definitions to hold, their combined bitmask and
+ * the main key definition with the text it produces under those modifiers.
+ */
+export function parseKeyChord(chord, platform = process.platform) {
+  if (typeof chord !== 'string' || chord.length === 0) {
+    throw new Error('Key must be a non-empty string');
+  }
+
+  // Split on "+" but keep a literal "+" key (e.g. "Control++" or "+")
+  const parts = chord.length > 1 ? chord.split(/\+(?!$)/) : [chord];
+  const modifierNames = new Set();
+  let mainName = null;
+
+  parts.forEach((rawPart, index) => {
+    // A lone space is the Space key, not padding
+    const part = rawPart.trim() || rawPart;
+    const name = resolveKeyName(part, platform);
+    const isLast = index === parts.length - 1;
+
+    if (MODIFIER_BITS[name] && !isLast) {
+      modifierNames.add(name);
+    } else if (isLast) {
+      mainName = name;
+    } else {
+      throw new Error(`Invalid key chord '${chord}': '${part}' is not a modifier (Control, Alt, Meta, Shift)`);
+    }
+  });
+
+  let definition = KEY_DEFINITIONS[mainName];
+
+  // Chords name letters case-insensitively ("Control+K"); Shift picks the shifted character
+  if (definition && mainName.length === 1 && modifierNames.size > 0) {
+    if (/[A-Z]/.test(mainName)) {
+      definition = KEY_DEFINITIONS[mainName.toLowerCase()];
+    }
+    if (modifierNames.has('Shift') && definition.shifted) {
+      definition = KEY_DEFINITIONS[definition.shifted];
+    }
+  }
+
+  if (!definition) {
+    throw new Error(`Unknown key '${mainName}' in '${chord}'. Use a character or a key name like Enter, Tab, Escape, ArrowDown, F5`);
+  }
+
+  // Characters that need Shift (e.g. "A", "?") hold it implicitly
+  if (definition.shift) {
+    modifierNames.add('Shift');
+  }
+
+  const modifiers = MODIFIER_ORDER.filter(name => modifierNames.has(name));
+  const mask = modifiers.reduce((bits, name) => bits | MODIFIER_BITS[name], 0);
+
+  // Control, Alt and Meta chords are shortcuts and insert no text
+  const producesText = definition.text && !(mask & (MODIFIER_BITS.Control | MODIFIER_BITS.Alt | MODIFIER_BITS.Meta));
+
+  const commandKey = [...modifiers, definition.key.toLowerCase()].join('+');
+
+  return {
+    modifiers: modifiers.map(name => KEY_DEFINITIONS[name]),
+    mask,
+    key: {
+      ...definition,
+      text: producesText ? definition.text : undefined,
+    },
+    commands: platform === 'darwin' ? MAC_EDITING_COMMANDS[commandKey] : undefined,
+  };
+}
+
+/**
+ * Key definition for typing a single character, or null when the character
+ * has no key on a US layout and must be inserted as text instead.
+ */
+export function keyDefinitionForChar(char) {
+  if (char === '\n' || char === '\r') return KEY_DEFINITIONS.Enter;
+  if (char === '\t') return null;
+  return KEY_DEFINITIONS[char] || null;
+}
+
+/**
+ * Input event modifier bitmask for a list of modifier names ("Shift", "ctrl", "ControlOrMeta", ...)
+ */
+export function modifierMask(names = [], platform = process.platform) {
+  return names.reduce((mask, name) => {
+    const resolved = resolveKeyName(String(name), platform);
+    if (!MODIFIER_BITS[resolved]) {
+      throw new Error(`Invalid modifier '${name}'. Expected Alt, Control, Meta, Shift or ControlOrMeta`);
+    }
+    return mask | MODIFIER_BITS[resolved];
+  }, 0);
+}
+
+function resolveKeyName(name, platform) {
+  if (name.length === 1) return name;
+
+  const lower = name.toLowerCase();
+  if (lower === 'controlormeta' || lower === 'mod') {
+    return platform === 'darwin' ? 'Meta' : 'Control';
+  }
+  return KEY_ALIASES[lower] || NAMED_KEYS.get(lower) || name;
+}
@@ -0,0 +1,1396 @@
+/**
+ * Functions that run inside the page via Runtime.evaluate.
+ *
+ * They are serialized with Function.prototype.toString, so each one must be
+ * self-contained: no imports, no references to module scope, and only
+ * JSON-serializable arguments and return values. The one exception are the
+ * helpers in PAGE_HELPERS, which are defined alongside any page function
+ * (or helper) that mentions them.
+ */
+
+/**
+ * Build a Runtime.evaluate expression that calls a page function with arguments
+ */
+export function pageFunctionCall(fn, ...args) {
+  const source = fn.toString();
+  const call = `(${source})(${args.map(arg => JSON.stringify(arg === undefined ? null : arg)).join(', ')})`;
+
+  // Collect the helpers the function uses, and the helpers those use
+  const used = new Map();
+  const pending = [source];
+  while (pending.length > 0) {
+    const code = pending.pop();
+    for (const [name, helper] of Object.entries(PAGE_HELPERS)) {
+      if (helper !== fn && !used.has(name) && new RegExp(`\\b${name}\\b`).test(code)) {
+        used.set(name, helper);
+        pending.push(helper.toString());
+      }
+    }
+  }
+
+  const helpers = Array.from(used, ([name, helper]) => `const ${name} = ${helper.toString()};`);
+  return helpers.length > 0 ? `(() => { ${helpers.join(' ')} return ${call}; })()` : call;
+}
+
+/**
+ * Split an engine prefix off a selector: "xpath=//button", "text=\"Sign in\"",
+ * "role=button[name=\"Save\"]" or "css=.save". Selectors without a prefix are
+ * CSS and `explicit` is false.
+ */
+export function selectorEngine(selector) {
+  const match = /^\s*(css|xpath|text|role|ref)=/.exec(selector);
+  if (!match) {
+    return { engine: 'css', body: selector, explicit: false };
+  }
+  return { engine: match[1], body: selector.slice(match[0].length).trim(), explicit: true };
+}
+
+/**
+ * Predicate for text= selectors and role= names: "quoted" matches the whole
+ * text exactly, /pattern/flags is a regular expression, anything else is a
+ * case-insensitive substring. Whitespace is collapsed before comparing.
+ */
+export function textMatcher(pattern) {
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+  const regex = /^\/(.+)\/([dgimsuy]*)$/s.exec(pattern);
+  if (regex) {
+    const expression = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    return text => expression.test(normalize(text));
+  }
+
+  const quoted = /^(["'])(.*)\1$/s.exec(pattern);
+  if (quoted) {
+    const expected = normalize(quoted[2].replace(/\\(.)/g, '$1'));
+    return text => normalize(text) === expected;
+  }
+
+  const expected = normalize(pattern).toLowerCase();
+  if (!expected) {
+    throw new Error('Text to match must not be empty');
+  }
+  return text => normalize(text).toLowerCase().includes(expected);
+}
+
+/**
+ * Parse the body of a role= selector, e.g. 'button[name="Save"]',
+ * 'checkbox[checked=false]' or 'heading[level=2]'. Unquoted names match
+ * as substrings (see textMatcher); a state without a value means true.
+ */
+export function parseRoleSelector(body) {
+  const STATES = ['checked', 'disabled', 'expanded', 'pressed', 'selected'];
+  const head = /^\s*([a-zA-Z]+)\s*/.exec(body);
+  if (!head) {
+    throw new Error(`Invalid role selector '${body}': expected a role such as button, link or textbox`);
+  }
+
+  const parsed = { role: head[1].toLowerCase(), name: null, states: {}, level: null };
+  const attribute = /\[\s*([a-zA-Z-]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/(?:[^/\\]|\\.)+\/[a-z]*|[^\]]+?))?\s*\]\s*/y;
+  attribute.lastIndex = head[0].length;
+
+  while (attribute.lastIndex < body.length) {
+    const start = attribute.lastIndex;
+    const match = attribute.exec(body);
+    if (!match) {
+      throw new Error(`Invalid role selector '${body}' near '${body.slice(start)}'`);
+    }
+
+    const [, key, value] = match;
+    if (key === 'name') {
+      if (value === undefined) throw new Error(`Role selector '${body}': name needs a value`);
+      parsed.name = value;
+    } else if (key === 'level') {
+      parsed.level = Number(value);
+      if (!Number.isInteger(parsed.level)) throw new Error(`Role selector '${body}': level must be a number`);
+    } else if (STATES.includes(key)) {
+      const state = value === undefined ? 'true' : value.replace(/^["']|["']$/g, '').toLowerCase();
+      if (!['true', 'false', 'mixed'].includes(state)) {
+        throw new Error(`Role selector '${body}': ${key} must be true, false or mixed`);
+      }
+      parsed.states[key] = state;
+    } else {
+      throw new Error(`Role selector '${body}': unknown attribute '${key}'. Use name, level, ${STATES.join(', ')}`);
+    }
+  }
+
+  return parsed;
+}
+
+// The root and every open shadow root inside it
+export function shadowRoots(root) {
+  const roots = [root || document];
+  for (let index = 0; index < roots.length; index++) {
+    const walker = document.createTreeWalker(roots[index], NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      if (walker.currentNode.shadowRoot) roots.push(walker.currentNode.shadowRoot);
+    }
+  }
+  return roots;
+}
+
+// ARIA role of an element: its role attribute, or the implicit role of its tag
+export function ariaRole(element) {
+  const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicit) return explicit.toLowerCase();
+
+  const TAG_ROLES = {
+    article: 'article', aside: 'complementary', button: 'button', dialog: 'dialog', fieldset: 'group',
+    footer: 'contentinfo', form: 'form', h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading',
+    h5: 'heading', h6: 'heading', header: 'banner', hr: 'separator', li: 'listitem', main: 'main',
+    meter: 'meter', nav: 'navigation', ol: 'list', option: 'option', output: 'status',
+    progress: 'progressbar', summary: 'button', table: 'table', tbody: 'rowgroup', td: 'cell',
+    textarea: 'textbox', th: 'columnheader', thead: 'rowgroup', tr: 'row', ul: 'list',
+  };
+  const INPUT_ROLES = {
+    button: 'button', checkbox: 'checkbox', image: 'button', number: 'spinbutton', radio: 'radio',
+    range: 'slider', reset: 'button', submit: 'button',
+  };
+
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'a' || tag === 'area') return element.hasAttribute('href') ? 'link' : null;
+  if (tag === 'img') return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+  if (tag === 'select') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'section') return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ? 'region' : null;
+  if (tag === 'input') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'hidden' || type === 'file' || type === 'color') return null;
+    if (INPUT_ROLES[type]) return INPUT_ROLES[type];
+    if (element.hasAttribute('list')) return 'combobox';
+    return type === 'search' ? 'searchbox' : 'textbox';
+  }
+  return TAG_ROLES[tag] || null;
+}
+
+// Accessible name, close to how Chrome computes it for the common cases
+export function accessibleName(element, role) {
+  const NAME_FROM_CONTENT = [
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+    'tooltip', 'treeitem',
+  ];
+  const normalize = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const root = element.getRootNode();
+    const text = normalize(labelledBy.split(/\s+/).map(id => root.getElementById(id)).filter(Boolean).map(node => node.textContent).join(' '));
+    if (text) return text;
+  }
+
+  const label = normalize(element.getAttribute('aria-label'));
+  if (label) return label;
+
+  if (element.labels && element.labels.length > 0) {
+    const text = normalize(Array.from(element.labels).map(node => node.textContent).join(' '));
+    if (text) return text;
+  }
+
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  if (tag === 'img' || tag === 'area' || (tag === 'input' && type === 'image')) {
+    const alt = normalize(element.getAttribute('alt'));
+    if (alt) return alt;
+  }
+  if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    return normalize(element.value) || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+  }
+  if (NAME_FROM_CONTENT.includes(role)) {
+    const text = normalize(element.textContent);
+    if (text) return text;
+  }
+  return normalize(element.getAttribute('title') || element.getAttribute('placeholder'));
+}
+
+// Elements an XPath expression selects; XPath cannot enter shadow roots
+export function xpathQueryAll(expression, root) {
+  const scope = root || document;
+  const snapshot = (scope.ownerDocument || scope).evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+  const elements = [];
+  for (let index = 0; index < snapshot.snapshotLength; index++) {
+    const node = snapshot.snapshotItem(index);
+    if (node.nodeType === Node.ELEMENT_NODE) elements.push(node);
+  }
+  return elements;
+}
+
+// Innermost elements whose text matches, including inside open shadow roots
+export function textQueryAll(pattern, root) {
+  const matches = textMatcher(pattern);
+  const textOf = element => (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)
+    ? element.value
+    : element.textContent);
+
+  const elements = [];
+  for (const scope of shadowRoots(root)) {
+    for (const element of scope.querySelectorAll('*')) {
+      if (element.closest('head, script, style, noscript, template') || !matches(textOf(element))) continue;
+      if (Array.from(element.children).some(child => matches(textOf(child)))) continue;
+      elements.push(element);
+    }
+  }
+  return elements;
+}
+
+// Elements with an ARIA role, name and states, including inside open shadow roots
+export function roleQueryAll(body, root) {
+  const { role, name, states, level } = parseRoleSelector(body);
+  const nameMatches = name === null ? null : textMatcher(name);
+
+  const stateOf = (element, key) => {
+    const aria = element.getAttribute(`aria-${key}`);
+    if (key === 'checked') {
+      if (element.indeterminate) return 'mixed';
+      if (aria === null && 'checked' in element && element.tagName === 'INPUT') return String(element.checked);
+    }
+    if (key === 'selected' && aria === null && element.tagName === 'OPTION') return String(element.selected);
+    if (key === 'disabled') return String(element.matches(':disabled') || Boolean(element.closest('[aria-disabled="true"]')));
+    return aria === null ? 'false' : aria;
+  };
+
+  const elements = [];
+  for (const scope of shadowRoots(root)) {
+    for (const element of scope.querySelectorAll('*')) {
+      if (ariaRole(element) !== role) continue;
+      // Hidden elements are not in the accessibility tree
+      if (element.closest('[aria-hidden="true"]') || (element.checkVisibility && !element.checkVisibility({ visibilityProperty: true }))) continue;
+      if (Object.entries(states).some(([key, value]) => stateOf(element, key) !== value)) continue;
+      if (level !== null && Number(element.getAttribute('aria-level') || element.tagName.slice(1)) !== level) continue;
+      if (nameMatches && !nameMatches(accessibleName(element, role))) continue;
+      elements.push(element);
+    }
+  }
+  return elements;
+}
+
+// Called on a node resolved from a snapshot ref (as `this`) so "ref=<ref>" finds it; the registry
+// lives in the isolated world it was called in, out of reach of the page's own scripts
+export function registerRef(ref) {
+  const element = this.nodeType === Node.ELEMENT_NODE ? this : this.parentElement;
+  globalThis.__chromeControlRefs = globalThis.__chromeControlRefs || new Map();
+  globalThis.__chromeControlRefs.set(ref, new WeakRef(element));
+}
+
+// The element registered for a snapshot ref while it is still in the page
+export function refQueryAll(ref) {
+  const registered = globalThis.__chromeControlRefs && globalThis.__chromeControlRefs.get(ref);
+  const element = registered ? registered.deref() : null;
+  return element && element.isConnected ? [element] : [];
+}
+
+/**
+ * Elements matching a selector. CSS selectors can pierce open shadow roots
+ * with ">>>", e.g. "payment-form >>> input[name=card]": each ">>>" continues
+ * the search inside the shadow roots of the elements matched so far.
+ * Prefixed selectors use another engine (see selectorEngine).
+ */
+export function deepQuerySelectorAll(selector, root) {
+  const { engine, body } = selectorEngine(selector);
+  if (engine === 'ref') return refQueryAll(body);
+  if (engine === 'xpath') return xpathQueryAll(body, root);
+  if (engine === 'text') return textQueryAll(body, root);
+  if (engine === 'role') return roleQueryAll(body, root);
+
+  const parts = body.split('>>>').map(part => part.trim());
+  let scopes = [root || document];
+  let matches = [];
+
+  parts.forEach((part, index) => {
+    matches = [];
+    scopes.forEach(scope => matches.push(...scope.querySelectorAll(part)));
+    if (index < parts.length - 1) {
+      scopes = matches.map(element => element.shadowRoot).filter(Boolean);
+    }
+  });
+
+  return Array.from(new Set(matches));
+}
+
+export function deepQuerySelector(selector, root) {
+  return deepQuerySelectorAll(selector, root)[0] || null;
+}
+
+/**
+ * CSS selector that matches exactly this element within root (default: the
+ * document). Prefers a stable id, test ids and identifying attributes, and
+ * falls back to an nth-of-type path anchored at the closest stable id. Every
+ * candidate is checked to resolve to the same element; null if none does.
+ * Elements inside open shadow roots get a "host >>> inner" selector.
+ */
+export function uniqueSelector(element, root) {
+  const elementRoot = element.getRootNode();
+  if (!root && elementRoot instanceof ShadowRoot) {
+    const host = uniqueSelector(elementRoot.host);
+    const inner = uniqueSelector(element, elementRoot);
+    return host && inner ? `${host} >>> ${inner}` : null;
+  }
+
+  const scope = root || document;
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+  const IDENTIFYING_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt', 'for', 'href', 'type'];
+
+  const quote = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const isUnique = (selector) => {
+    try {
+      const matches = scope.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch {
+      return false;
+    }
+  };
+
+  // Generated ids (React useId, long numbers, hashes) change between page loads
+  const isStableId = id => Boolean(id) && !/^:|\d{4,}|^[a-f0-9]{8,}$|^ember\d+$/i.test(id);
+  const usableValue = value => value !== null && value !== '' && value.length <= 100 && !/[\n\r]/.test(value);
+
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+
+  if (isStableId(element.id)) candidates.push(`#${CSS.escape(element.id)}`);
+
+  for (const attribute of TEST_ID_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (usableValue(value)) candidates.push(`[${attribute}=${quote(value)}]`, `${tag}[${attribute}=${quote(value)}]`);
+  }
+
+  for (const attribute of IDENTIFYING_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (!usableValue(value)) continue;
+    const selector = `${tag}[${attribute}=${quote(value)}]`;
+    candidates.push(selector);
+    // Radio buttons and checkboxes share a name across the group
+    if (attribute === 'name' && usableValue(element.getAttribute('value'))) {
+      candidates.push(`${selector}[value=${quote(element.getAttribute('value'))}]`);
+    }
+  }
+
+  const role = element.getAttribute('role');
+  const label = element.getAttribute('aria-label');
+  if (role && usableValue(label)) candidates.push(`[role=${quote(role)}][aria-label=${quote(label)}]`);
+
+  const found = candidates.find(isUnique);
+  if (found) return found;
+
+  // nth-of-type path up to the closest ancestor with a stable id (or the scope root)
+  const segments = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE && current !== scope) {
+    if (current !== element && isStableId(current.id)) {
+      segments.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+
+    const currentTag = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (!parent || currentTag === 'html') {
+      segments.unshift(currentTag);
+      break;
+    }
+
+    const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+    segments.unshift(sameTag.length > 1 ? `${currentTag}:nth-of-type(${sameTag.indexOf(current) + 1})` : currentTag);
+
+    const path = segments.join(' > ');
+    if (isUnique(path)) return path;
+    current = parent;
+  }
+
+  const path = segments.join(' > ');
+  return isUnique(path) ? path : null;
+}
+
+/**
+ * Element that scrolls for a container selector, or for a target element
+ * its nearest scrollable ancestor; null means the page itself. Throws when
+ * the container selector matches nothing.
+ */
+export function findScrollContainer(containerSelector, target) {
+  if (containerSelector) {
+    const container = deepQuerySelector(containerSelector);
+    if (!container) throw new Error(`Scroll container '${containerSelector}' not found`);
+    return container === document.body || container === document.documentElement ? null : container;
+  }
+
+  // Walk up through shadow hosts as well
+  const parentOf = node => node.parentElement || (node.getRootNode() instanceof ShadowRoot ? node.getRootNode().host : null);
+  for (let node = target ? parentOf(target) : null; node && node !== document.body && node !== document.documentElement; node = parentOf(node)) {
+    const style = window.getComputedStyle(node);
+    const overflows = /(auto|scroll|overlay)/.test(style.overflowY + ' ' + style.overflowX);
+    if (overflows && (node.scrollHeight > node.clientHeight || node.scrollWidth > node.clientWidth)) return node;
+  }
+  return null;
+}
+
+// Helpers page functions may call; pageFunctionCall defines the ones they mention
+const PAGE_HELPERS = {
+  selectorEngine,
+  textMatcher,
+  parseRoleSelector,
+  shadowRoots,
+  ariaRole,
+  accessibleName,
+  xpathQueryAll,
+  textQueryAll,
+  roleQueryAll,
+  refQueryAll,
+  deepQuerySelectorAll,
+  deepQuerySelector,
+  uniqueSelector,
+  findScrollContainer,
+};
+
+/**
+ * Extract page content as plain text or Markdown.
+ * - text: visible body text without scripts, styles and navigation chrome
+ * - markdown: the same content with headings, links, lists, tables and emphasis
+ * - readability: markdown of the main content area only
+ */
+export function extractPageContent(format) {
+  const NOISE_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, object, embed, link, meta, head';
+  const CHROME_SELECTOR = [
+    'nav', 'header', 'footer', 'aside', 'form[role="search"]', 'dialog:not([open])',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]', '[hidden]',
+  ].join(', ');
+  const SKIP_SELECTOR = `${NOISE_SELECTOR}, ${CHROME_SELECTOR}`;
+  const plain = format === 'text';
+
+  // Preformatted blocks are swapped for placeholders so whitespace cleanup leaves them intact
+  const preformatted = [];
+
+  // Readability-style pick: the container holding the most paragraph text with few links
+  const findMainContent = () => {
+    const explicit = document.querySelector('main, [role="main"], article');
+    if (explicit && explicit.innerText.trim().length > 200) {
+      return explicit;
+    }
+
+    const scores = new Map();
+    for (const paragraph of document.querySelectorAll('p, pre, li, td')) {
+      const length = paragraph.innerText.trim().length;
+      if (length < 25) continue;
+
+      let weight = 1;
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && level < 3; level++) {
+        scores.set(ancestor, (scores.get(ancestor) || 0) + length * weight);
+        ancestor = ancestor.parentElement;
+        weight /= 2;
+      }
+    }
+
+    let best = document.body;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+      const text = element.innerText.length || 1;
+      const linkText = Array.from(element.querySelectorAll('a')).reduce((total, link) => total + link.innerText.length, 0);
+      const adjusted = score * (1 - Math.min(linkText / text, 0.9));
+      if (adjusted > bestScore && !element.matches(CHROME_SELECTOR)) {
+        best = element;
+        bestScore = adjusted;
+      }
+    }
+    return best;
+  };
+
+  const isHidden = (element) => {
+    const style = window.getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const block = text => (text.trim() ? `\n\n${text.trim()}\n\n` : '');
+  const inline = (text, marker) => {
+    const trimmed = text.trim();
+    return !trimmed || plain ? text : `${marker}${trimmed}${marker}`;
+  };
+
+  const renderChildren = (element, context) =>
+    Array.from(element.childNodes).map(child => render(child, context)).join('');
+
+  const renderList = (list, context) => {
+    const ordered = list.tagName === 'OL';
+    const indent = '  '.repeat(context.depth);
+    const items = Array.from(list.children).filter(item => item.tagName === 'LI' && !isHidden(item));
+
+    const lines = items.map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : '-';
+      const content = renderChildren(item, { ...context, depth: context.depth + 1 })
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+      return `${indent}${marker} ${content}`;
+    });
+
+    return context.depth > 0 ? `\n${lines.join('\n')}` : block(lines.join('\n'));
+  };
+
+  const renderTable = (table, context) => {
+    const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+    if (rows.length === 0) return '';
+
+    const cells = rows.map(row => Array.from(row.children)
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map(cell => renderChildren(cell, context).replace(/\s+/g, ' ').trim()));
+
+    if (plain) {
+      return block(cells.map(row => row.join('\t')).join('\n'));
+    }
+
+    cells.forEach(row => row.forEach((cell, index) => { row[index] = cell.replace(/\|/g, '\\|'); }));
+
+    const width = Math.max(...cells.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const lines = [`| ${pad(cells[0]).join(' | ')} |`, `|${' --- |'.repeat(width)}`];
+    cells.slice(1).forEach(row => lines.push(`| ${pad(row).join(' | ')} |`));
+    return block(lines.join('\n'));
+  };
+
+  function render(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const element = node;
+    if (element.matches(SKIP_SELECTOR) || isHidden(element)) return '';
+
+    const tag = element.tagName.toLowerCase();
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = renderChildren(element, context).replace(/\s+/g, ' ').trim();
+      return block(plain ? text : `${'#'.repeat(Number(tag[1]))} ${text}`);
+    }
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'hr':
+        return plain ? '\n' : block('---');
+      case 'p':
+        return block(renderChildren(element, context));
+      case 'a': {
+        const text = renderChildren(element, context).replace(/\s+/g, ' ').trim();
+        const href = element.getAttribute('href');
+        if (plain || !text || !href || href.startsWith('#') || href.startsWith('javascript:')) {
+          return text ? ` ${text} ` : '';
+        }
+        return ` [${text}](${element.href}) `;
+      }
+      case 'strong':
+      case 'b':
+        return inline(renderChildren(element, context), '**');
+      case 'em':
+      case 'i':
+        return inline(renderChildren(element, context), '*');
+      case 'code':
+        return inline(element.textContent, '`');
+      case 'pre': {
+        const code = element.textContent.replace(/\n$/, '');
+        preformatted.push(plain ? code : `\`\`\`\n${code}\n\`\`\``);
+        return block(`\u0000${preformatted.length - 1}\u0000`);
+      }
+      case 'blockquote': {
+        const text = renderChildren(element, context).trim();
+        return block(plain ? text : text.split('\n').map(line => `> ${line}`).join('\n'));
+      }
+      case 'ul':
+      case 'ol':
+        return renderList(element, context);
+      case 'table':
+        return renderTable(element, context);
+      case 'img': {
+        const alt = (element.getAttribute('alt') || '').trim();
+        if (!alt) return '';
+        return plain ? alt : `![${alt}](${element.src})`;
+      }
+      case 'input':
+      case 'select':
+      case 'textarea':
+        return '';
+      default: {
+        const content = renderChildren(element, context);
+        const display = window.getComputedStyle(element).display;
+        return display === 'inline' || display === 'inline-block' ? content : block(content);
+      }
+    }
+  }
+
+  const root = format === 'readability' ? findMainContent() : document.body;
+  if (!root) return '';
+
+  return render(root, { depth: 0 })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+(?=[^\s\-\d])/g, '\n')
+    .replace(/([^\s]) {2,}/g, '$1 ')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => preformatted[Number(index)])
+    .trim();
+}
+
+/**
+ * Describe the inputs, buttons, textareas and selects of a form, each with a
+ * selector that matches only that element. Null if the form is not found.
+ */
+export function analyzeFormElements(formSelector) {
+  const form = deepQuerySelector(formSelector);
+  if (!form) return null;
+
+  const elements = Array.from(form.querySelectorAll('input, button, textarea, select')).map(el => {
+    const rect = el.getBoundingClientRect();
+
+    return {
+      tagName: el.tagName.toLowerCase(),
+      type: el.type || '',
+      name: el.name || '',
+      id: el.id || '',
+      className: typeof el.className === 'string' ? el.className : '',
+      value: el.value || '',
+      placeholder: el.placeholder || '',
+      textContent: el.textContent?.trim() || '',
+      ariaLabel: el.getAttribute('aria-label') || '',
+      visible: rect.width > 0 && rect.height > 0,
+      selector: uniqueSelector(el),
+    };
+  });
+
+  return {
+    formId: form.id || '',
+    formClass: form.className || '',
+    formAction: form.action || '',
+    elements,
+  };
+}
+
+/**
+ * Fill form controls from a list of { field, value, selector } entries.
+ * Without a selector, `field` is matched against the control's name, id,
+ * label text, placeholder, aria-label or fieldset legend inside the form
+ * (or the whole document when formSelector is null).
+ * - text-like inputs and textareas: value set through the native setter
+ * - selects: option value or label (arrays for multi-selects)
+ * - checkboxes: true/false; radio groups: option value or label
+ */
+export function fillFormFields(formSelector, fields) {
+  const root = formSelector ? deepQuerySelector(formSelector) : document;
+  if (!root) return { error: `Form not found with selector: ${formSelector}` };
+
+  const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+  const TRUE_VALUES = ['true', 'yes', 'on', 'checked', '1'];
+  const FALSE_VALUES = ['false', 'no', 'off', 'unchecked', '0'];
+
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // Label text without the text of controls it wraps (e.g. a select's options)
+  const labelText = (label) => {
+    const walker = document.createTreeWalker(label, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentElement.closest('select, textarea, option') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+    let text = '';
+    while (walker.nextNode()) text += walker.currentNode.textContent;
+    return normalize(text);
+  };
+
+  const controls = Array.from(root.querySelectorAll('input, select, textarea'))
+    .filter(control => !SKIPPED_TYPES.includes(control.type));
+
+  const namesOf = control => {
+    const legend = control.closest('fieldset')?.querySelector('legend');
+    return {
+      name: normalize(control.name),
+      id: normalize(control.id),
+      label: Array.from(control.labels || []).map(labelText),
+      placeholder: normalize(control.placeholder),
+      aria_label: normalize(control.getAttribute('aria-label')),
+      legend: legend && (control.type === 'radio' || control.type === 'checkbox') ? labelText(legend) : '',
+    };
+  };
+  const described = controls.map(control => ({ control, names: namesOf(control) }));
+
+  const matches = (names, strategy, key, exact) => {
+    const values = [].concat(names[strategy]).filter(Boolean);
+    return values.some(value => (exact ? value === key : value.includes(key)));
+  };
+
+  const findControl = (field) => {
+    const key = normalize(field);
+    if (!key) return null;
+
+    for (const strategy of ['name', 'id', 'label', 'placeholder', 'aria_label', 'legend']) {
+      const found = described.find(entry => matches(entry.names, strategy, key, true));
+      if (found) return { control: found.control, matchedBy: strategy };
+    }
+    for (const strategy of ['label', 'placeholder', 'aria_label', 'legend']) {
+      const found = described.find(entry => matches(entry.names, strategy, key, false));
+      if (found) return { control: found.control, matchedBy: `${strategy}_contains` };
+    }
+    return null;
+  };
+
+  const optionLabel = option => normalize(option.label || option.text);
+
+  const fire = (control, types) => {
+    types.forEach(type => control.dispatchEvent(new Event(type, { bubbles: true })));
+  };
+
+  // Frameworks like React track the value setter, so call the prototype's
+  const setNativeValue = (control, value) => {
+    const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(control), 'value');
+    if (descriptor && descriptor.set) {
+      descriptor.set.call(control, value);
+    } else {
+      control.value = value;
+    }
+  };
+
+  const fillSelect = (control, value) => {
+    const wanted = Array.isArray(value) ? value : [value];
+    if (wanted.length > 1 && !control.multiple) {
+      return { reason: 'Select accepts a single option' };
+    }
+
+    const options = Array.from(control.options);
+    const chosen = [];
+    for (const item of wanted) {
+      const key = normalize(item);
+      const option = options.find(candidate => candidate.value === String(item)) ||
+        options.find(candidate => optionLabel(candidate) === key) ||
+        options.find(candidate => optionLabel(candidate).includes(key));
+      if (!option) {
+        return { reason: `No option matching "${item}"`, available: options.slice(0, 50).map(candidate => candidate.label || candidate.text.trim()) };
+      }
+      if (option.disabled) return { reason: `Option "${option.text.trim()}" is disabled` };
+      chosen.push(option);
+    }
+
+    control.focus();
+    if (control.multiple) {
+      options.forEach(option => { option.selected = chosen.includes(option); });
+    } else {
+      control.value = chosen[0].value;
+    }
+    fire(control, ['input', 'change']);
+    control.blur();
+    return { value: Array.from(control.selectedOptions).map(option => option.label || option.text.trim()) };
+  };
+
+  const fillCheckbox = (control, value) => {
+    const key = normalize(value);
+    const desired = value === true || TRUE_VALUES.includes(key) ? true
+      : value === false || FALSE_VALUES.includes(key) ? false
+      : null;
+    if (desired === null) return { reason: `Checkbox expects true or false, got "${value}"` };
+
+    if (control.checked !== desired) control.click();
+    if (control.checked !== desired) return { reason: 'Clicking the checkbox did not change its state (the page may prevent it)' };
+    return { value: control.checked };
+  };
+
+  const fillRadio = (control, value) => {
+    const group = control.name
+      ? Array.from((control.form || document).querySelectorAll('input[type="radio"]')).filter(radio => radio.name === control.name)
+      : [control];
+    const key = normalize(value);
+    const radio = group.find(candidate => candidate.value === String(value)) ||
+      group.find(candidate => Array.from(candidate.labels || []).some(label => labelText(label) === key)) ||
+      group.find(candidate => Array.from(candidate.labels || []).some(label => labelText(label).includes(key)));
+    if (!radio) {
+      return { reason: `No radio option matching "${value}"`, available: group.map(candidate => candidate.value) };
+    }
+    if (radio.disabled) return { reason: `Radio option "${radio.value}" is disabled`, control: radio };
+
+    if (!radio.checked) radio.click();
+    if (!radio.checked) return { reason: 'Clicking the radio button did not select it (the page may prevent it)', control: radio };
+    return { value: radio.value, control: radio };
+  };
+
+  const fillText = (control, value) => {
+    const text = String(value);
+    control.focus();
+    setNativeValue(control, text);
+    fire(control, ['input', 'change']);
+    control.blur();
+
+    // Inputs like number or date drop values they cannot parse
+    if (control.value !== text && text !== '') {
+      return { reason: `"${text}" is not a valid value for a ${control.type} input` };
+    }
+    return {};
+  };
+
+  const results = fields.map(({ field, value, selector }) => {
+    let target;
+    if (selector) {
+      const element = deepQuerySelector(selector);
+      target = element && { control: element, matchedBy: 'smart_discovery' };
+    } else {
+      target = findControl(field);
+    }
+
+    if (!target) return { field, status: 'not_found' };
+
+    const { control, matchedBy } = target;
+    const tag = control.tagName.toLowerCase();
+    const type = tag === 'input' ? control.type : tag;
+    const report = { field, status: 'skipped', matchedBy, selector: uniqueSelector(control), type };
+
+    if (!['input', 'select', 'textarea'].includes(tag) || SKIPPED_TYPES.includes(control.type)) {
+      return { ...report, reason: `Matched a <${tag}> that is not a fillable form field` };
+    }
+    if (value === null || value === undefined) return { ...report, reason: 'No value given' };
+    if (control.disabled) return { ...report, reason: 'Field is disabled' };
+    if (control.readOnly && tag !== 'select') return { ...report, reason: 'Field is read-only' };
+    if (type === 'file') return { ...report, reason: 'File inputs need upload_file' };
+
+    const outcome = type === 'select' || tag === 'select' ? fillSelect(control, value)
+      : type === 'checkbox' ? fillCheckbox(control, value)
+      : type === 'radio' ? fillRadio(control, value)
+      : fillText(control, value);
+
+    if (outcome.control) report.selector = uniqueSelector(outcome.control);
+    if (outcome.reason) return { ...report, reason: outcome.reason, available: outcome.available };
+    return { ...report, status: 'filled', value: outcome.value };
+  });
+
+  return { results };
+}
+
+/**
+ * Submit the form owning the given element (or matching formSelector).
+ * Invalid forms show the browser's validation messages instead of submitting.
+ */
+export function submitForm(formSelector, fieldSelector) {
+  const anchor = fieldSelector ? deepQuerySelector(fieldSelector) : null;
+  const form = formSelector ? deepQuerySelector(formSelector) : anchor && anchor.form;
+  if (!form || form.tagName !== 'FORM') return { submitted: false, reason: 'No form to submit' };
+
+  if (!form.checkValidity()) {
+    form.reportValidity();
+    return { submitted: false, reason: 'Form has invalid fields' };
+  }
+
+  // Clicking the submit button runs its click handlers, which many apps rely on
+  const submitter = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+  if (submitter && !submitter.disabled) {
+    submitter.click();
+    return { submitted: true, method: 'submit_button' };
+  }
+
+  form.requestSubmit();
+  return { submitted: true, method: 'request_submit' };
+}
+
+/**
+ * Validation messages of the given fields and any other invalid field of their form.
+ */
+export function collectValidationMessages(formSelector, fieldSelectors) {
+  const messages = {};
+  const forms = new Set();
+
+  fieldSelectors.forEach(selector => {
+    const element = deepQuerySelector(selector);
+    if (!element) return;
+    if (element.validationMessage) messages[selector] = element.validationMessage;
+    if (element.form) forms.add(element.form);
+  });
+
+  if (formSelector) {
+    const form = deepQuerySelector(formSelector);
+    if (form) forms.add(form);
+  }
+
+  const invalid = [];
+  forms.forEach(form => {
+    Array.from(form.elements).forEach(element => {
+      if (element.willValidate && !element.validity.valid) {
+        invalid.push({
+          name: element.name || element.id || element.tagName.toLowerCase(),
+          message: element.validationMessage,
+        });
+      }
+    });
+  });
+
+  return { messages, invalid };
+}
+
+/**
+ * Score elements (including those in open shadow roots) whose accessible
+ * name or associated text matches searchText.
+ * Names come from <label for>, wrapping labels, aria-labelledby, aria-label,
+ * visible text, placeholder, title, text right before the field, and
+ * name/id attributes, in that order of trust. Elements of the kind the
+ * action expects (elementType) rank above others. Returns the best
+ * candidates, highest score first.
+ */
+export function findElementCandidates(searchText, elementType, limit) {
+  const CANDIDATE_SELECTOR = [
+    'button', 'a[href]', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="switch"]', '[role="radio"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="combobox"]',
+    '[role="textbox"]', '[role="searchbox"]', '[contenteditable="true"]',
+  ].join(', ');
+
+  // How much each name source is trusted
+  const SOURCE_WEIGHTS = {
+    label: 1,
+    labelledby: 1,
+    'aria-label': 0.95,
+    text: 0.95,
+    placeholder: 0.85,
+    title: 0.75,
+    nearby: 0.7,
+    attribute: 0.6,
+  };
+
+  // Element kinds each discovery type expects; clicks tolerate other kinds better than typing does
+  const PREFERRED_KINDS = {
+    button: ['button', 'link'],
+    submit: ['button'],
+    link: ['link'],
+    input: ['input'],
+    login: ['input'],
+    password: ['input'],
+    search: ['input'],
+    select: ['select'],
+    checkbox: ['checkbox'],
+    radio: ['radio'],
+    file: ['file'],
+  };
+  const CLICK_TYPES = ['button', 'submit', 'link'];
+
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const query = normalize(searchText);
+  if (!query) return [];
+
+  const textOf = (node) => {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, {
+      acceptNode: text => (text.parentElement.closest('select, textarea, option, script, style') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+    let text = '';
+    while (walker.nextNode()) text += walker.currentNode.textContent + ' ';
+    return normalize(text);
+  };
+
+  const kindOf = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const role = element.getAttribute('role');
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    if (tag === 'input') {
+      if (['submit', 'button', 'reset', 'image'].includes(type)) return 'button';
+      if (['checkbox', 'radio', 'file'].includes(type)) return type;
+      return 'input';
+    }
+    if (tag === 'textarea' || element.isContentEditable || role === 'textbox' || role === 'searchbox') return 'input';
+    if (tag === 'select' || role === 'combobox' || role === 'listbox') return 'select';
+    if (role === 'checkbox' || role === 'switch') return 'checkbox';
+    if (role === 'radio') return 'radio';
+    if (tag === 'a' || role === 'link') return 'link';
+    return 'button';
+  };
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' &&
+      style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+
+  // Text directly before a field, e.g. <div>Email</div><input> or "Email: <input>"
+  const nearbyText = (element) => {
+    let node = element.previousSibling;
+    while (node && node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) {
+      node = node.previousSibling;
+    }
+    if (!node && element.parentElement && element.parentElement.children.length === 1) {
+      return nearbyText(element.parentElement);
+    }
+    // Text of another control is not a caption for this one
+    const CONTROLS = 'input, select, textarea, button, a[href]';
+    if (!node || (node.nodeType === Node.ELEMENT_NODE && (node.matches(CONTROLS) || node.querySelector(CONTROLS)))) return '';
+    const text = normalize(node.textContent);
+    return text.length <= 60 ? text : '';
+  };
+
+  // "billingAddress_line1" -> "billing address line1"
+  const attributeWords = value => normalize(String(value || '').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_\-.[\]]+/g, ' '));
+
+  const namesOf = (element, kind) => {
+    const names = [];
+    const add = (source, text) => {
+      const value = normalize(text);
+      if (value) names.push({ source, text: value });
+    };
+
+    Array.from(element.labels || []).forEach(label => add('label', textOf(label)));
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      add('labelledby', labelledBy.split(/\s+/).map(id => element.getRootNode().getElementById(id)).filter(Boolean).map(textOf).join(' '));
+    }
+    add('aria-label', element.getAttribute('aria-label'));
+    if (['button', 'link'].includes(kind) || element.getAttribute('role')) {
+      add('text', element.tagName === 'INPUT' ? element.value : textOf(element).slice(0, 200));
+    }
+    add('placeholder', element.getAttribute('placeholder'));
+    add('title', element.getAttribute('title'));
+    if (!['button', 'link'].includes(kind) && !(element.labels && element.labels.length) && !labelledBy) {
+      add('nearby', nearbyText(element));
+    }
+    add('attribute', attributeWords(element.getAttribute('name')));
+    add('attribute', attributeWords(element.id));
+    return names;
+  };
+
+  // 1 for an exact match, less for prefix, whole-word and substring matches
+  const matchQuality = (text) => {
+    if (text === query) return 1;
+    const index = text.indexOf(query);
+    if (index === -1) return 0;
+    const coverage = query.length / text.length;
+    const wholeWord = (index === 0 || /\W/.test(text[index - 1])) &&
+      (index + query.length === text.length || /\W/.test(text[index + query.length]));
+    if (index === 0 && wholeWord) return 0.8 + 0.15 * coverage;
+    if (wholeWord) return 0.7 + 0.15 * coverage;
+    return 0.5 + 0.15 * coverage;
+  };
+
+  const preferred = PREFERRED_KINDS[elementType] || null;
+  const candidates = [];
+
+  // Search the document and every open shadow root inside it
+  const elements = shadowRoots(document).flatMap(root => Array.from(root.querySelectorAll(CANDIDATE_SELECTOR)));
+
+  for (const element of elements) {
+    const kind = kindOf(element);
+    let visibility = 1;
+    if (!isVisible(element)) {
+      // Styled checkboxes, radios and file inputs hide the input behind a visible label
+      const labelVisible = Array.from(element.labels || []).some(isVisible);
+      if (!['checkbox', 'radio', 'file'].includes(kind) || !labelVisible) continue;
+      visibility = 0.95;
+    }
+
+    let best = null;
+    for (const name of namesOf(element, kind)) {
+      const score = SOURCE_WEIGHTS[name.source] * matchQuality(name.text);
+      if (score > 0 && (!best || score > best.score)) {
+        best = { ...name, score };
+      }
+    }
+    if (!best) continue;
+
+    const kindFactor = !preferred || preferred.includes(kind) ? 1
+      : CLICK_TYPES.includes(elementType) ? 0.85
+      : 0.5;
+    const score = Math.round(best.score * kindFactor * visibility * 100) / 100;
+    if (score < 0.3) continue;
+
+    candidates.push({ element, kind, best, score });
+  }
+
+  // Selectors are only built for the candidates that are returned
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit || 6)
+    .map(({ element, kind, best, score }) => ({
+      selector: uniqueSelector(element),
+      tagName: element.tagName.toLowerCase(),
+      kind,
+      source: best.source,
+      matchedText: best.text.length > 80 ? best.text.slice(0, 80) + '...' : best.text,
+      score,
+    }))
+    .filter(candidate => candidate.selector);
+}
+
+/**
+ * Describe the elements a selector matches, in document order: text, value,
+ * attributes, viewport bounds, visibility and a unique selector. `total`
+ * counts every match (only visible ones with visibleOnly); at most `limit`
+ * are described.
+ */
+export function describeElements(selector, limit, visibleOnly) {
+  const MAX_TEXT = 1000;
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+  const matches = deepQuerySelectorAll(selector).map((element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    const visible = rect.width > 0 && rect.height > 0 && style.display !== 'none' &&
+      style.visibility !== 'hidden' && style.opacity !== '0';
+    return { element, rect, visible };
+  }).filter(match => match.visible || !visibleOnly);
+
+  const elements = matches.slice(0, limit).map(({ element, rect, visible }, index) => {
+    const text = normalize(element.innerText ?? element.textContent);
+    return {
+      index,
+      tagName: element.tagName.toLowerCase(),
+      text: text.length > MAX_TEXT ? text.slice(0, MAX_TEXT) + '...' : text,
+      value: typeof element.value === 'string' && element.tagName !== 'BUTTON' ? element.value : undefined,
+      attributes: Object.fromEntries(Array.from(element.attributes, attr => [attr.name, attr.value])),
+      visible,
+      bounds: {
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      },
+      selector: uniqueSelector(element),
+    };
+  });
+
+  return { total: matches.length, elements };
+}
+
+/**
+ * One record per element matching rowSelector (at most limit, after the
+ * first skip rows). Each field { name, selector, attribute, multiple } reads
+ * the text (or an attribute, "value" or "html") of the first element its
+ * selector matches inside the row, the row itself without a selector, or
+ * every match with multiple.
+ * Without fields, table rows become { header: cell text } records and other
+ * rows { text }.
+ */
+export function extractRecords(rowSelector, fields, limit, skip = 0) {
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+  const read = (element, attribute) => {
+    if (!attribute || attribute === 'text') return normalize(element.innerText ?? element.textContent);
+    if (attribute === 'html') return element.innerHTML.trim();
+    if (attribute === 'value') return 'value' in element ? element.value : element.getAttribute('value');
+    // Properties give absolute URLs for relative links
+    if (['href', 'src', 'action'].includes(attribute) && element.hasAttribute(attribute) && typeof element[attribute] === 'string') {
+      return element[attribute];
+    }
+    return element.getAttribute(attribute);
+  };
+
+  const tableRecord = (row) => {
+    const cells = Array.from(row.cells);
+    const table = row.closest('table');
+    const headerRow = table && (table.tHead ? table.tHead.rows[0] : Array.from(table.rows).find(candidate =>
+      candidate.cells.length > 0 && Array.from(candidate.cells).every(cell => cell.tagName === 'TH')));
+    const headers = headerRow && headerRow !== row ? Array.from(headerRow.cells).map(cell => normalize(cell.textContent)) : [];
+
+    return Object.fromEntries(cells.map((cell, index) => [headers[index] || `column_${index + 1}`, read(cell)]));
+  };
+
+  // Header rows are not data
+  const rows = deepQuerySelectorAll(rowSelector).filter(row =>
+    fields || row.tagName !== 'TR' || Array.from(row.cells).some(cell => cell.tagName === 'TD'));
+
+  // Rows before `skip` were read from an earlier page
+  const records = rows.slice(skip, skip + limit).map((row) => {
+    if (!fields) {
+      return row.tagName === 'TR' ? tableRecord(row) : { text: read(row) };
+    }
+
+    const record = {};
+    for (const field of fields) {
+      const targets = field.selector ? deepQuerySelectorAll(field.selector, row) : [row];
+      record[field.name] = field.multiple
+        ? targets.map(target => read(target, field.attribute))
+        : (targets.length > 0 ? read(targets[0], field.attribute) : null);
+    }
+    return record;
+  });
+
+  return { total: rows.length, records };
+}
+
+/**
+ * Scroll position and size of a container (see findScrollContainer) and the
+ * viewport point at the center of its visible area, where wheel events go
+ * (null when none of it is on screen). With target, `offset` is how far the
+ * target's center is from that point and `inView` whether it fits inside.
+ * `items` counts matches and `until` reports whether a match is visible.
+ */
+export function scrollState({ container, target, items, until }) {
+  const targetElement = target ? deepQuerySelector(target) : null;
+  if (target && !targetElement) throw new Error(`Element '${target}' not found`);
+
+  const box = findScrollContainer(container, targetElement);
+  const scroller = box || document.scrollingElement || document.documentElement;
+
+  let area = { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+  if (box) {
+    const rect = box.getBoundingClientRect();
+    area = {
+      left: Math.max(rect.left, 0),
+      top: Math.max(rect.top, 0),
+      right: Math.min(rect.right, window.innerWidth),
+      bottom: Math.min(rect.bottom, window.innerHeight),
+    };
+  }
+  const onScreen = area.right > area.left && area.bottom > area.top;
+
+  const state = {
+    container: box ? 'element' : 'page',
+    x: Math.round(scroller.scrollLeft),
+    y: Math.round(scroller.scrollTop),
+    maxX: Math.max(scroller.scrollWidth - scroller.clientWidth, 0),
+    maxY: Math.max(scroller.scrollHeight - scroller.clientHeight, 0),
+    width: scroller.clientWidth,
+    height: scroller.clientHeight,
+    point: onScreen ? { x: Math.round((area.left + area.right) / 2), y: Math.round((area.top + area.bottom) / 2) } : null,
+  };
+
+  if (targetElement) {
+    const rect = targetElement.getBoundingClientRect();
+    const centerX = (area.left + area.right) / 2;
+    const centerY = (area.top + area.bottom) / 2;
+    state.offset = { x: Math.round(rect.left + rect.width / 2 - centerX), y: Math.round(rect.top + rect.height / 2 - centerY) };
+    // Elements taller or wider than the area count as in view once their start is
+    state.inView = onScreen &&
+      rect.top >= area.top && (rect.bottom <= area.bottom || rect.height > area.bottom - area.top && rect.top < area.bottom) &&
+      rect.left >= area.left && (rect.right <= area.right || rect.width > area.right - area.left && rect.left < area.right);
+  }
+
+  if (items) {
+    state.itemCount = deepQuerySelectorAll(items).length;
+  }
+  if (until) {
+    const element = deepQuerySelector(until);
+    const style = element && window.getComputedStyle(element);
+    const rect = element && element.getBoundingClientRect();
+    state.found = Boolean(element) && rect.width > 0 && rect.height > 0 &&
+      style.display !== 'none' && style.visibility !== 'hidden';
+  }
+
+  return state;
+}
+
+// Scroll a container (see findScrollContainer) directly, for when wheel events do not reach it
+export function scrollContainerBy({ container, target }, deltaX, deltaY) {
+  const box = findScrollContainer(container, target ? deepQuerySelector(target) : null);
+  (box || document.scrollingElement || document.documentElement).scrollBy({ left: deltaX, top: deltaY, behavior: 'instant' });
+}
+
+/**
+ * Which page conditions of wait_for hold right now: whether the selector's
+ * element is in `state` (attached, detached, visible, hidden or enabled),
+ * and whether a visible element shows `text` (matched as in text= selectors).
+ */
+export function waitConditionState({ selector, state, text }) {
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' &&
+      style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+
+  const result = {};
+  if (selector) {
+    const element = deepQuerySelector(selector);
+    const visible = Boolean(element) && isVisible(element);
+    const states = {
+      attached: Boolean(element),
+      detached: !element,
+      visible,
+      hidden: !visible,
+      enabled: visible && !element.matches(':disabled') && !element.closest('[aria-disabled="true"]'),
+    };
+    result.selector = states[state];
+  }
+  if (text) {
+    result.text = textQueryAll(text).some(isVisible);
+  }
+  return result;
+}
+
+/**
+ * Whether the element a selector matches can take a pointer action at the
+ * point (x, y) of its frame's viewport: enabled (when checkEnabled), not
+ * moving across two animation frames, and hit by the point itself or
+ * through a descendant or its label (skipped when x and y are null).
+ * Otherwise `reason` says why and, for "obscured", `obscuredBy` describes
+ * what is in the way.
+ */
+export async function checkActionability(selector, x, y, checkEnabled) {
+  const element = deepQuerySelector(selector);
+  if (!element) return { actionable: false, reason: 'not_found' };
+
+  if (checkEnabled && (element.matches(':disabled') || element.closest('[aria-disabled="true"]'))) {
+    return { actionable: false, reason: 'disabled' };
+  }
+
+  // Background tabs throttle animation frames, so do not wait on them forever
+  const nextFrame = () => new Promise(resolve => {
+    requestAnimationFrame(resolve);
+    setTimeout(resolve, 100);
+  });
+  const before = element.getBoundingClientRect();
+  await nextFrame();
+  await nextFrame();
+  const after = element.getBoundingClientRect();
+  if (before.x !== after.x || before.y !== after.y || before.width !== after.width || before.height !== after.height) {
+    return { actionable: false, reason: 'not_stable' };
+  }
+  if (x === null || y === null) return { actionable: true };
+
+  // Hit-test into open shadow roots down to the innermost element
+  let hit = document.elementFromPoint(x, y);
+  while (hit && hit.shadowRoot) {
+    const inner = hit.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === hit) break;
+    hit = inner;
+  }
+  if (!hit) return { actionable: false, reason: 'outside_viewport' };
+
+  const contains = (ancestor, node) => {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+  if (contains(element, hit) || Array.from(element.labels || []).some(label => contains(label, hit))) {
+    return { actionable: true };
+  }
+
+  // Name the overlay (dialog, banner, fixed layer) rather than whatever leaf of it was hit
+  let blocker = hit;
+  for (let current = hit; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement || (current.getRootNode().host || null)) {
+    const position = window.getComputedStyle(current).position;
+    if (current.matches('dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]') || position === 'fixed' || position === 'sticky') {
+      blocker = current;
+      break;
+    }
+  }
+
+  const id = blocker.id ? ` id="${blocker.id}"` : '';
+  const className = typeof blocker.className === 'string' && blocker.className.trim()
+    ? ` class="${blocker.className.trim().split(/\s+/).slice(0, 3).join(' ')}"`
+    : '';
+  const text = (blocker.textContent || '').replace(/\s+/g, ' ').trim();
+  return {
+    actionable: false,
+    reason: 'obscured',
+    obscuredBy: {
+      description: `<${blocker.tagName.toLowerCase()}${id}${className}>` + (text ? ` "${text.length > 60 ? text.slice(0, 60) + '...' : text}"` : ''),
+      selector: uniqueSelector(blocker),
+    },
+  };
+}
+
+// Count DOM mutations in the document and its open shadow roots until stop() is called
+export function observeMutations() {
+  const record = { count: 0 };
+  const observer = new MutationObserver(mutations => { record.count += mutations.length; });
+  for (const root of shadowRoots(document)) {
+    observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+  }
+  record.stop = () => {
+    observer.disconnect();
+    record.count += observer.takeRecords().length;
+    return record.count;
+  };
+  return record;
+}
+
+// Current text of a field or contenteditable element; null when it is gone
+export function readFieldValue(selector) {
+  const element = deepQuerySelector(selector);
+  if (!element) return null;
+  return {
+    value: element.isContentEditable ? element.innerText : String(element.value ?? ''),
+    password: element.type === 'password',
+  };
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { decodePng, encodePng, diffImages } from '../server/utils/image-diff.js';
+
+// Solid image, optionally with a rectangle in another colour
+function image(width, height, color, rect = null) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = rect && x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      png.data.set(inside ? rect.color : color, (y * width + x) * 4);
+    }
+  }
+  return png;
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+test('diffImages finds no change between identical images', () => {
+  const result = diffImages(image(32, 32, WHITE), image(32, 32, WHITE));
+  assert.equal(result.mismatchedPixels, 0);
+  assert.equal(result.mismatchPercentage, 0);
+  assert.deepEqual(result.regions, []);
+  assert.equal(result.sizeMismatch, false);
+});
+
+test('diffImages reports the changed area as a region', () => {
+  const after = image(64, 64, WHITE, { x: 10, y: 20, width: 5, height: 4, color: BLACK });
+  const result = diffImages(image(64, 64, WHITE), after);
+
+  assert.equal(result.comparedPixels, 64 * 64);
+  assert.equal(result.mismatchedPixels, 20);
+  assert.equal(result.totalRegions, 1);
+  assert.deepEqual(
+    { x: result.regions[0].x, y: result.regions[0].y, width: result.regions[0].width, height: result.regions[0].height },
+    { x: 10, y: 20, width: 5, height: 4 }
+  );
+});
+
+test('diffImages tolerates colour differences up to the threshold', () => {
+  const grey = [230, 230, 230, 255];
+  const before = image(16, 16, WHITE);
+  const after = image(16, 16, grey);
+
+  // 25 / 255 is about 0.098
+  assert.equal(diffImages(before, after).mismatchedPixels, 0);
+  assert.equal(diffImages(before, after, { threshold: 0.05 }).mismatchedPixels, 16 * 16);
+  assert.equal(diffImages(before, after, { threshold: 0 }).mismatchPercentage, 100);
+});
+
+test('diffImages leaves ignored regions out of the comparison', () => {
+  const rect = { x: 4, y: 4, width: 8, height: 8, color: BLACK };
+  const result = diffImages(image(32, 32, WHITE), image(32, 32, WHITE, rect), {
+    ignoreRegions: [{ x: 2, y: 2, width: 12, height: 12 }],
+  });
+
+  assert.equal(result.mismatchedPixels, 0);
+  assert.equal(result.comparedPixels, 32 * 32 - 12 * 12);
+});
+
+test('diffImages still counts changes outside a partial ignore region', () => {
+  const rect = { x: 4, y: 4, width: 8, height: 8, color: BLACK };
+  const result = diffImages(image(32, 32, WHITE), image(32, 32, WHITE, rect), {
+    ignoreRegions: [{ x: 0, y: 0, width: 8, height: 32 }],
+  });
+
+  // Columns 8-11 of the rectangle are outside the ignored strip
+  assert.equal(result.mismatchedPixels, 4 * 8);
+});
+
+test('diffImages counts pixels that only exist in the larger image as changed', () => {
+  const result = diffImages(image(10, 10, WHITE), image(10, 12, WHITE));
+  assert.equal(result.sizeMismatch, true);
+  assert.equal(result.width, 10);
+  assert.equal(result.height, 12);
+  assert.equal(result.mismatchedPixels, 20);
+});
+
+test('encodePng and decodePng round-trip an image', () => {
+  const original = image(4, 3, WHITE, { x: 1, y: 1, width: 2, height: 1, color: BLACK });
+  const decoded = decodePng(encodePng(original));
+  assert.equal(decoded.width, 4);
+  assert.equal(decoded.height, 3);
+  assert.deepEqual(Buffer.from(decoded.data), Buffer.from(original.data));
+});
+
+test('decodePng rejects data that is not a PNG', () => {
+  assert.throws(() => decodePng(Buffer.from('not a png')), /Could not decode PNG image/);
+});
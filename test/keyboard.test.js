@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKeyChord, modifierMask, MODIFIER_BITS } from '../server/utils/keyboard.js';
+
+test('parseKeyChord parses a single named key', () => {
+  const chord = parseKeyChord('Enter', 'linux');
+  assert.equal(chord.key.key, 'Enter');
+  assert.equal(chord.key.code, 'Enter');
+  assert.equal(chord.mask, 0);
+  assert.deepEqual(chord.modifiers, []);
+});
+
+test('parseKeyChord holds modifiers in press order', () => {
+  const chord = parseKeyChord('Shift+Control+Tab', 'linux');
+  assert.deepEqual(chord.modifiers.map(modifier => modifier.key), ['Control', 'Shift']);
+  assert.equal(chord.mask, MODIFIER_BITS.Control | MODIFIER_BITS.Shift);
+  assert.equal(chord.key.key, 'Tab');
+});
+
+test('parseKeyChord names letters case-insensitively in chords and inserts no text for shortcuts', () => {
+  const chord = parseKeyChord('Control+K', 'linux');
+  assert.equal(chord.key.key, 'k');
+  assert.equal(chord.key.code, 'KeyK');
+  assert.equal(chord.mask, MODIFIER_BITS.Control);
+  assert.equal(chord.key.text, undefined);
+});
+
+test('parseKeyChord ignores spaces around "+"', () => {
+  const chord = parseKeyChord('Control + K', 'linux');
+  assert.equal(chord.key.key, 'k');
+  assert.equal(chord.mask, MODIFIER_BITS.Control);
+
+  assert.equal(parseKeyChord(' Shift + Tab ', 'linux').key.key, 'Tab');
+  assert.equal(parseKeyChord('Control + +', 'linux').key.key, '+');
+});
+
+test('parseKeyChord keeps a lone space as the Space key', () => {
+  assert.equal(parseKeyChord(' ', 'linux').key.code, 'Space');
+  assert.equal(parseKeyChord('Control+ ', 'linux').key.code, 'Space');
+});
+
+test('parseKeyChord keeps a literal "+" key', () => {
+  assert.equal(parseKeyChord('+', 'linux').key.key, '+');
+
+  const chord = parseKeyChord('Control++', 'linux');
+  assert.equal(chord.key.key, '+');
+  assert.equal(chord.mask & MODIFIER_BITS.Control, MODIFIER_BITS.Control);
+});
+
+test('parseKeyChord holds Shift for characters that need it', () => {
+  const upper = parseKeyChord('A', 'linux');
+  assert.equal(upper.key.key, 'A');
+  assert.equal(upper.key.text, 'A');
+  assert.equal(upper.mask, MODIFIER_BITS.Shift);
+
+  const question = parseKeyChord('?', 'linux');
+  assert.equal(question.key.code, 'Slash');
+  assert.equal(question.key.text, '?');
+  assert.equal(question.mask, MODIFIER_BITS.Shift);
+});
+
+test('parseKeyChord picks the shifted character under Shift', () => {
+  const digit = parseKeyChord('Shift+1', 'linux');
+  assert.equal(digit.key.key, '!');
+  assert.equal(digit.key.text, '!');
+  assert.equal(digit.mask, MODIFIER_BITS.Shift);
+
+  assert.equal(parseKeyChord('Shift+a', 'linux').key.key, 'A');
+});
+
+test('parseKeyChord maps ControlOrMeta to Meta on macOS and Control elsewhere', () => {
+  const mac = parseKeyChord('ControlOrMeta+a', 'darwin');
+  assert.equal(mac.mask, MODIFIER_BITS.Meta);
+  assert.deepEqual(mac.commands, ['selectAll']);
+
+  const linux = parseKeyChord('ControlOrMeta+a', 'linux');
+  assert.equal(linux.mask, MODIFIER_BITS.Control);
+  assert.equal(linux.commands, undefined);
+
+  assert.equal(parseKeyChord('Mod+z', 'darwin').mask, MODIFIER_BITS.Meta);
+});
+
+test('parseKeyChord rejects non-modifiers before the last key', () => {
+  assert.throws(() => parseKeyChord('a+b', 'linux'), /'a' is not a modifier/);
+});
+
+test('parseKeyChord rejects unknown keys and empty chords', () => {
+  assert.throws(() => parseKeyChord('Control+Banana', 'linux'), /Unknown key 'Banana'/);
+  assert.throws(() => parseKeyChord('', 'linux'), /non-empty string/);
+});
+
+test('modifierMask combines modifier names', () => {
+  assert.equal(modifierMask(['shift', 'ControlOrMeta'], 'darwin'), MODIFIER_BITS.Shift | MODIFIER_BITS.Meta);
+  assert.equal(modifierMask(['ControlOrMeta'], 'linux'), MODIFIER_BITS.Control);
+  assert.throws(() => modifierMask(['Tab'], 'linux'), /Invalid modifier 'Tab'/);
+});
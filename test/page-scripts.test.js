@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectorEngine, textMatcher, parseRoleSelector } from '../server/utils/page-scripts.js';
+
+test('selectorEngine splits off engine prefixes', () => {
+  assert.deepEqual(selectorEngine('xpath=//button'), { engine: 'xpath', body: '//button', explicit: true });
+  assert.deepEqual(selectorEngine(' text= "Sign in" '), { engine: 'text', body: '"Sign in"', explicit: true });
+  assert.deepEqual(selectorEngine('#save'), { engine: 'css', body: '#save', explicit: false });
+  assert.deepEqual(selectorEngine('a[href="x=1"]'), { engine: 'css', body: 'a[href="x=1"]', explicit: false });
+});
+
+test('textMatcher matches unquoted text as a case-insensitive substring', () => {
+  const matches = textMatcher('sign in');
+  assert.equal(matches('Please Sign In now'), true);
+  assert.equal(matches('Sign  \n in'), true);
+  assert.equal(matches('Sign out'), false);
+});
+
+test('textMatcher matches quoted text exactly after collapsing whitespace', () => {
+  const matches = textMatcher('"Sign in"');
+  assert.equal(matches('  Sign\n in '), true);
+  assert.equal(matches('Sign in now'), false);
+  assert.equal(matches('sign in'), false);
+
+  assert.equal(textMatcher("'Say \\'hi\\''")("Say 'hi'"), true);
+});
+
+test('textMatcher matches /regex/flags patterns', () => {
+  const matches = textMatcher('/^item \\d+$/i');
+  assert.equal(matches('Item 42'), true);
+  assert.equal(matches('Item forty'), false);
+
+  // Global and sticky flags are dropped so repeated tests do not depend on lastIndex
+  const global = textMatcher('/a/g');
+  assert.equal(global('a'), true);
+  assert.equal(global('a'), true);
+});
+
+test('textMatcher rejects empty text and invalid regular expressions', () => {
+  assert.throws(() => textMatcher('   '), /Text to match must not be empty/);
+  assert.throws(() => textMatcher('/(/'), SyntaxError);
+});
+
+test('parseRoleSelector parses a bare role', () => {
+  assert.deepEqual(parseRoleSelector('Button'), { role: 'button', name: null, states: {}, level: null });
+});
+
+test('parseRoleSelector parses name, level and states', () => {
+  assert.deepEqual(parseRoleSelector('button[name="Save draft"]'), {
+    role: 'button', name: '"Save draft"', states: {}, level: null,
+  });
+  assert.equal(parseRoleSelector('link[name=/^next/i]').name, '/^next/i');
+  assert.equal(parseRoleSelector("button[name='a ] b']").name, "'a ] b'");
+  assert.equal(parseRoleSelector('heading[level=2]').level, 2);
+  assert.deepEqual(parseRoleSelector('checkbox[checked=false][disabled]').states, { checked: 'false', disabled: 'true' });
+  assert.deepEqual(parseRoleSelector('checkbox [ checked = "mixed" ]').states, { checked: 'mixed' });
+});
+
+test('parseRoleSelector explains invalid selectors', () => {
+  assert.throws(() => parseRoleSelector('[name="x"]'), {
+    message: `Invalid role selector '[name="x"]': expected a role such as button, link or textbox`,
+  });
+  assert.throws(() => parseRoleSelector('button name="x"'), {
+    message: `Invalid role selector 'button name="x"' near 'name="x"'`,
+  });
+  assert.throws(() => parseRoleSelector('button[name]'), {
+    message: `Role selector 'button[name]': name needs a value`,
+  });
+  assert.throws(() => parseRoleSelector('heading[level=two]'), {
+    message: `Role selector 'heading[level=two]': level must be a number`,
+  });
+  assert.throws(() => parseRoleSelector('checkbox[checked=yes]'), {
+    message: `Role selector 'checkbox[checked=yes]': checked must be true, false or mixed`,
+  });
+  assert.throws(() => parseRoleSelector('button[foo]'), {
+    message: `Role selector 'button[foo]': unknown attribute 'foo'. Use name, level, checked, disabled, expanded, pressed, selected`,
+  });
+});